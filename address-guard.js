@@ -0,0 +1,79 @@
+// Keeps requests to user-supplied URLs off the server's own network: loopback, private ranges and
+// link-local addresses such as the cloud metadata service at 169.254.169.254. Host names are checked
+// as they are resolved for the connection, so a name can't pass a check and then resolve elsewhere.
+
+const dns = require('dns');
+const net = require('net');
+
+const NON_PUBLIC_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "This" network
+  ['10.0.0.0', 8, 'ipv4'], // Private
+  ['100.64.0.0', 10, 'ipv4'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // Loopback
+  ['169.254.0.0', 16, 'ipv4'], // Link-local
+  ['172.16.0.0', 12, 'ipv4'], // Private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // Private
+  ['198.18.0.0', 15, 'ipv4'], // Benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // Multicast
+  ['240.0.0.0', 4, 'ipv4'], // Reserved and broadcast
+  ['::', 128, 'ipv6'], // Unspecified
+  ['::1', 128, 'ipv6'], // Loopback
+  ['fc00::', 7, 'ipv6'], // Unique local
+  ['fe80::', 10, 'ipv6'], // Link-local
+  ['ff00::', 8, 'ipv6'] // Multicast
+];
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges too
+const nonPublicAddresses = new net.BlockList();
+NON_PUBLIC_RANGES.forEach(([network, prefix, type]) => nonPublicAddresses.addSubnet(network, prefix, type));
+
+// Whether an IP address is on the public internet
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !nonPublicAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Error for a host on the server's own network (code ENONPUBLIC)
+const nonPublicHostError = (hostname, address) => Object.assign(
+  new Error(address ? `${hostname} resolves to a private or local address (${address})` : `${hostname} is a private or local address`),
+  { code: 'ENONPUBLIC' }
+);
+
+// dns.lookup for http requests that refuses names resolving to any non-public address
+const lookupPublicAddress = (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) return callback(nonPublicHostError(hostname, blocked.address));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Check the host of a URL before requesting it. IP addresses are checked here, as connections to them
+// skip the lookup; names are resolved with lookupPublicAddress.
+const assertPublicUrl = async (url) => {
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    if (!isPublicAddress(hostname)) throw nonPublicHostError(hostname);
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    lookupPublicAddress(hostname, {}, (error) => (error ? reject(error) : resolve()));
+  });
+};
+
+module.exports = {
+  isPublicAddress,
+  lookupPublicAddress,
+  assertPublicUrl
+};
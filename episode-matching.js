@@ -0,0 +1,94 @@
+// Matching a linked episode to an item in its show's RSS feed when the link doesn't identify the
+// item directly (by GUID or audio URL). Titles are compared first; duration, publish date and
+// episode number then separate shows whose titles all look alike.
+//
+// The episode is { name, durationMs, releaseDate } as the link's resolver reported it; feed items
+// are rss-parser items.
+
+const stringSimilarity = require('string-similarity');
+
+const MATCH_MIN_SCORE = 0.5; // Lower best scores ask the user to pick the episode
+
+// Convert HH:MM:SS or MM:SS to seconds
+const durationToSeconds = (durationStr) => {
+  if (!durationStr) return 0;
+  const parts = durationStr.toString().split(':').map(Number);
+  if (parts.length === 3) return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  if (parts.length === 2) return parts[0] * 60 + parts[1];
+  return Number(durationStr) || 0;
+};
+
+// Episode number written in a title, e.g. "Episode 212", "Ep. 212", "#212" or "212: Mailbag"
+const extractEpisodeNumber = (title) => {
+  const match = (title || '').match(/(?:\bepisode|\bep\.?|#)\s*(\d+)/i) || (title || '').match(/^\s*(\d+)\s*[:.|\-–—]/);
+  return match ? Number(match[1]) : null;
+};
+
+// Score how well an RSS item matches the Spotify episode. Title similarity (0-1) is the base;
+// duration, publish date and episode number add to it when they agree and take away when they
+// clearly don't, which separates shows whose titles all look alike ("Mailbag", "Episode 212").
+// Returns the total and each part, for logging.
+const calculateMatchScore = (item, spotifyEpisode) => {
+  const title = stringSimilarity.compareTwoStrings(
+    item.title?.toLowerCase() || '',
+    spotifyEpisode.name.toLowerCase()
+  );
+
+  // Within 10s is the same file; over 5 minutes apart is a different episode
+  let duration = 0;
+  if (spotifyEpisode.durationMs && item.itunes?.duration) {
+    const rssSeconds = durationToSeconds(item.itunes.duration);
+    const diff = Math.abs(rssSeconds - Math.round(spotifyEpisode.durationMs / 1000));
+    if (diff < 10) duration = 0.3;
+    else if (diff < 60) duration = 0.1;
+    else if (diff > 300) duration = -0.2;
+  }
+
+  // Spotify often only knows the day, and time zones shift it, so a day either way still counts
+  let date = 0;
+  const published = Date.parse(item.isoDate || item.pubDate);
+  if (spotifyEpisode.releaseDate && !Number.isNaN(published)) {
+    const daysApart = Math.abs(published - Date.parse(spotifyEpisode.releaseDate)) / (24 * 60 * 60 * 1000);
+    if (daysApart <= 1.5) date = 0.3;
+    else if (daysApart <= 3) date = 0.1;
+    else if (daysApart > 14) date = -0.2;
+  }
+
+  // Episode number from itunes:episode, falling back to one in the RSS title
+  let episodeNumber = 0;
+  const spotifyNumber = extractEpisodeNumber(spotifyEpisode.name);
+  const rssNumber = Number(item.itunes?.episode) || extractEpisodeNumber(item.title);
+  if (spotifyNumber !== null && rssNumber) {
+    episodeNumber = spotifyNumber === rssNumber ? 0.3 : -0.3;
+  }
+
+  return {
+    total: title + duration + date + episodeNumber,
+    title,
+    duration,
+    date,
+    episodeNumber
+  };
+};
+
+// Score every feed item against the episode, best match first: [{ item, score }]
+const rankFeedItems = (items, episode) => {
+  return items
+    .map(item => ({ item, score: calculateMatchScore(item, episode) }))
+    .sort((a, b) => b.score.total - a.score.total);
+};
+
+// One-line score breakdown for the logs
+const formatMatchScore = (score) => {
+  const signed = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+  return `${score.total.toFixed(2)} (title ${score.title.toFixed(2)}, duration ${signed(score.duration)}, date ${signed(score.date)}, episode ${signed(score.episodeNumber)})`;
+};
+
+module.exports = {
+  MATCH_MIN_SCORE,
+  durationToSeconds,
+  extractEpisodeNumber,
+  calculateMatchScore,
+  rankFeedItems,
+  formatMatchScore
+};
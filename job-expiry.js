@@ -0,0 +1,32 @@
+// Which stored jobs have outlived the retention period. Finished jobs (completed, failed or
+// cancelled) are removed. Jobs still waiting for an episode or feed to be chosen are abandoned: the
+// server fails them, so their failure is reported and kept for another retention period before it
+// is removed in turn. Queued and running jobs never expire.
+
+// Sort jobs not updated within retentionMs into { remove, abandon }
+const findExpiredJobs = (jobs, retentionMs, now = Date.now()) => {
+  const cutoff = now - retentionMs;
+  const expired = { remove: [], abandon: [] };
+
+  for (const job of jobs) {
+    if (job.updatedAt >= cutoff) continue;
+    if (job.complete) {
+      expired.remove.push(job);
+    } else if (job.status === 'awaiting_selection') {
+      expired.abandon.push(job);
+    }
+  }
+
+  return expired;
+};
+
+// Error recorded on an abandoned job
+const getAbandonedJobMessage = (job, retentionHours) => {
+  const choice = job.selection?.type === 'feed' ? 'feed' : 'episode';
+  return `No ${choice} was chosen within ${retentionHours} hours`;
+};
+
+module.exports = {
+  findExpiredJobs,
+  getAbandonedJobMessage
+};
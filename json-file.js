@@ -0,0 +1,15 @@
+// JSON records on disk, shared by everything the server persists under DATA_DIR
+
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+// Write JSON to disk (write to a temp file, then rename so a crash never leaves half a file)
+const writeJsonFile = async (filepath, data) => {
+  const tmpPath = `${filepath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data));
+  await fs.rename(tmpPath, filepath);
+};
+
+module.exports = {
+  writeJsonFile
+};
@@ -1,8 +1,19 @@
 // Global variables
 let currentTranscript = '';
+let currentSegments = [];
+let currentChapters = [];
 let currentSummary = '';
+let currentSummaryProvider = null;
+let currentSummaryStyle = null;
 let currentJobId = null;
+let partialTranscript = []; // Chunk transcripts received while the job is still running
 let eventSource = null;
+let lastProgressEventId = null; // Sent when reconnecting so the server replays missed events
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let inputMode = 'episode'; // 'episode', 'audioUrl', 'upload' or 'show'
+let currentBatchId = null; // Set while following a whole-show batch instead of a single episode
+let maxUploadMB = null; // Reported by /api/health
 
 // --- Helpers ---
 
@@ -84,9 +95,249 @@ function renderSummaryMarkdown(markdown) {
 // Very small markdown renderer for headings, paragraphs and bullet lists
 
 
+// Format seconds as H:MM:SS or M:SS
+function formatTimestamp(totalSeconds) {
+    const seconds = Math.floor(totalSeconds);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const sec = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
+// Render the transcript, wrapping each segment in a span so chapters can jump to it
+function renderTranscript(transcript, segments) {
+    const transcriptEl = document.getElementById('transcriptText');
+
+    if (!segments || segments.length === 0) {
+        transcriptEl.textContent = transcript;
+        return;
+    }
+
+    transcriptEl.innerHTML = segments
+        .map(segment => `<span class="transcript-segment" data-start="${segment.start}">${escapeHtml(segment.text)}</span>`)
+        .join(' ');
+}
+
+// Render the chapter list above the transcript
+function renderChapters(chapters) {
+    const chapterListEl = document.getElementById('chapterList');
+
+    if (!chapters || chapters.length === 0) {
+        chapterListEl.innerHTML = '';
+        chapterListEl.classList.add('hidden');
+        return;
+    }
+
+    chapterListEl.innerHTML = chapters.map(chapter => `
+        <button class="chapter-item" onclick="jumpToTime(${chapter.start})">
+            <span class="chapter-time">${formatTimestamp(chapter.start)}</span>
+            <span>
+                <span class="chapter-title">${escapeHtml(chapter.title)}</span>
+                ${chapter.description ? `<span class="chapter-description">${escapeHtml(chapter.description)}</span>` : ''}
+            </span>
+        </button>
+    `).join('');
+    chapterListEl.classList.remove('hidden');
+}
+
+// Show the chunk transcripts received so far, in episode order, while the job is still running
+function renderLiveTranscript() {
+    const containerEl = document.getElementById('liveTranscript');
+    const textEl = document.getElementById('liveTranscriptText');
+
+    if (partialTranscript.length === 0) {
+        textEl.innerHTML = '';
+        containerEl.classList.add('hidden');
+        return;
+    }
+
+    // Only follow new text if the reader hasn't scrolled up
+    const atBottom = textEl.scrollHeight - textEl.scrollTop - textEl.clientHeight < 40;
+
+    const parts = [...partialTranscript].sort((a, b) => a.index - b.index);
+    textEl.innerHTML = parts.map(part => part.segments && part.segments.length > 0
+        ? part.segments.map(segment => `<span class="transcript-segment" data-start="${segment.start}">${escapeHtml(segment.text)}</span>`).join(' ')
+        : escapeHtml(part.text)
+    ).join('\n\n');
+
+    const chunkCount = parts[0].chunks;
+    document.getElementById('liveTranscriptStatus').textContent = chunkCount > 1
+        ? `${parts.length} of ${chunkCount} parts`
+        : '';
+    containerEl.classList.remove('hidden');
+
+    if (atBottom) {
+        textEl.scrollTop = textEl.scrollHeight;
+    }
+}
+
+// Render feed episodes as buttons; onPick receives the chosen episode's GUID
+function renderEpisodeList(containerEl, episodes, onPick) {
+    if (episodes.length === 0) {
+        containerEl.innerHTML = '<p class="hint">No episodes with audio found in this feed.</p>';
+        return;
+    }
+
+    containerEl.innerHTML = episodes.map((episode, index) => {
+        const details = [
+            episode.published ? new Date(episode.published).toLocaleDateString() : null,
+            episode.duration ? (/^\d+$/.test(episode.duration) ? formatTimestamp(Number(episode.duration)) : episode.duration) : null,
+            episode.score !== undefined ? `match ${Math.round(episode.score * 100)}%` : null
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <button class="episode-option" data-index="${index}">
+                <span class="episode-option-title">${escapeHtml(episode.title)}</span>
+                ${details ? `<span class="episode-option-details">${escapeHtml(details)}</span>` : ''}
+            </button>
+        `;
+    }).join('');
+
+    containerEl.querySelectorAll('.episode-option').forEach(button => {
+        button.addEventListener('click', () => onPick(episodes[Number(button.dataset.index)].guid));
+    });
+}
+
+// Render ranked feed candidates as buttons; onPick receives the chosen feed's URL
+function renderFeedList(containerEl, candidates, onPick) {
+    const sourceLabels = { podcastindex: 'Podcast Index', itunes: 'iTunes' };
+
+    containerEl.innerHTML = candidates.map((candidate, index) => {
+        const details = [
+            candidate.author,
+            `match ${Math.round(candidate.confidence * 100)}%`,
+            candidate.sources.map(source => sourceLabels[source] || source).join(' + '),
+            new URL(candidate.rssUrl).hostname
+        ].filter(Boolean).join(' · ');
+
+        return `
+            <button class="episode-option" data-index="${index}">
+                <span class="episode-option-title">${escapeHtml(candidate.title || candidate.rssUrl)}</span>
+                <span class="episode-option-details">${escapeHtml(details)}</span>
+            </button>
+        `;
+    }).join('');
+
+    containerEl.querySelectorAll('.episode-option').forEach(button => {
+        button.addEventListener('click', () => onPick(candidates[Number(button.dataset.index)].rssUrl));
+    });
+}
+
+// Show the candidates for a job waiting for the user to choose its episode, or the show's feed
+function showEpisodePicker(selection) {
+    const pickerEl = document.getElementById('episodePicker');
+    const listEl = document.getElementById('episodePickerList');
+
+    if (selection.type === 'feed') {
+        document.getElementById('episodePickerTitle').textContent = 'Which podcast is it?';
+        document.getElementById('episodePickerHint').textContent = `Several RSS feeds could be "${selection.podcast}". Choose the right show to continue.`;
+        renderFeedList(listEl, selection.candidates, chooseFeed);
+    } else {
+        document.getElementById('episodePickerTitle').textContent = 'Which episode did you mean?';
+        document.getElementById('episodePickerHint').textContent = 'We couldn\'t match this episode in the RSS feed with confidence. Choose it below to continue.';
+        renderEpisodeList(listEl, selection.candidates, chooseEpisode);
+    }
+    pickerEl.classList.remove('hidden');
+}
+
+function hideEpisodePicker() {
+    document.getElementById('episodePicker').classList.add('hidden');
+    document.getElementById('episodePickerList').innerHTML = '';
+}
+
+// Resume the waiting job with the chosen episode
+async function chooseEpisode(guid) {
+    const jobId = currentJobId;
+    if (!jobId) return;
+
+    hideEpisodePicker();
+    updateProgressStep('parse', 'active', 50, 'Continuing with the chosen episode...');
+
+    try {
+        const response = await fetch(`/api/jobs/${jobId}/selection`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ guid })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to continue with the chosen episode');
+        }
+    } catch (error) {
+        console.error('Error choosing episode:', error);
+        showError(error.message);
+    }
+}
+
+// Resume the waiting job with the chosen feed
+async function chooseFeed(rssUrl) {
+    const jobId = currentJobId;
+    if (!jobId) return;
+
+    hideEpisodePicker();
+    updateProgressStep('rss', 'active', 50, 'Continuing with the chosen feed...');
+
+    try {
+        const response = await fetch(`/api/jobs/${jobId}/selection`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rssUrl })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to continue with the chosen feed');
+        }
+    } catch (error) {
+        console.error('Error choosing feed:', error);
+        showError(error.message);
+    }
+}
+
+// List the episodes of the RSS feed entered above, so one can be transcribed directly
+async function browseFeedEpisodes() {
+    const rssInput = document.getElementById('rssUrl');
+    const browserEl = document.getElementById('feedBrowser');
+    const rssUrl = rssInput.value.trim();
+
+    rssInput.classList.remove('input-error');
+    if (!/^https?:\/\//i.test(rssUrl)) {
+        rssInput.classList.add('input-error');
+        browserEl.innerHTML = '<p class="hint">Enter an RSS feed URL to browse its episodes.</p>';
+        browserEl.classList.remove('hidden');
+        return;
+    }
+
+    browserEl.innerHTML = '<p class="hint">Loading episodes...</p>';
+    browserEl.classList.remove('hidden');
+
+    try {
+        const response = await fetch(`/api/feed/episodes?rssUrl=${encodeURIComponent(rssUrl)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load the feed');
+        }
+        renderEpisodeList(browserEl, data.episodes, guid => transcribeEpisode(guid));
+    } catch (error) {
+        console.error('Error browsing feed:', error);
+        browserEl.innerHTML = `<p class="hint">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Scroll the transcript to the first segment at or after the given time and highlight it
+function jumpToTime(seconds) {
+    const transcriptEl = document.getElementById('transcriptText');
+    const segmentEls = Array.from(transcriptEl.querySelectorAll('.transcript-segment'));
+    const target = segmentEls.find(el => Number(el.dataset.start) >= seconds) || segmentEls[segmentEls.length - 1];
+    if (!target) return;
+
+    transcriptEl.scrollTo({ top: target.offsetTop - transcriptEl.offsetTop, behavior: 'smooth' });
+    target.classList.add('highlight');
+    setTimeout(() => target.classList.remove('highlight'), 2000);
+}
+
 // Show/hide sections
 function showSection(sectionId) {
-    const sections = ['inputSection', 'progressSection', 'errorSection', 'resultSection'];
+    const sections = ['inputSection', 'progressSection', 'batchSection', 'errorSection', 'resultSection'];
     sections.forEach(id => {
         document.getElementById(id).classList.add('hidden');
     });
@@ -95,10 +346,91 @@ function showSection(sectionId) {
     }
 }
 
-// Validate Spotify URL
-function isValidSpotifyUrl(url) {
-    const spotifyPattern = /^https?:\/\/open\.spotify\.com\/episode\/[a-zA-Z0-9]+/;
-    return spotifyPattern.test(url);
+// Show the template editor only when "Custom template" is selected
+function toggleSummaryTemplate() {
+    const styleSelect = document.getElementById('summaryStyle');
+    const templateInput = document.getElementById('summaryTemplate');
+    templateInput.classList.toggle('hidden', styleSelect.value !== 'custom');
+}
+
+// Fill the summary style dropdown with the styles the server offers
+async function loadSummaryStyles() {
+    try {
+        const response = await fetch('/api/summary-styles');
+        const styles = await response.json();
+        const styleSelect = document.getElementById('summaryStyle');
+        const customOption = styleSelect.querySelector('option[value="custom"]');
+
+        styleSelect.querySelectorAll('option:not([value="custom"])').forEach(option => option.remove());
+        styles.forEach(style => {
+            const option = document.createElement('option');
+            option.value = style.id;
+            option.textContent = style.label;
+            styleSelect.insertBefore(option, customOption);
+        });
+    } catch (error) {
+        console.error('Failed to load summary styles:', error);
+    }
+}
+
+// Switch between an episode link, a direct audio URL and a file upload
+function setInputMode(mode) {
+    inputMode = mode;
+    document.querySelectorAll('.input-mode').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+    });
+    document.getElementById('episodeSource').classList.toggle('hidden', mode !== 'episode');
+    document.getElementById('audioUrlSource').classList.toggle('hidden', mode !== 'audioUrl');
+    document.getElementById('uploadSource').classList.toggle('hidden', mode !== 'upload');
+    document.getElementById('showSource').classList.toggle('hidden', mode !== 'show');
+    document.getElementById('audioTitleField').classList.toggle('hidden', mode !== 'audioUrl' && mode !== 'upload');
+}
+
+// Format a byte count as MB for upload messages
+function formatMegabytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Upload the form with XHR (fetch can't report upload progress), showing progress on the download step
+function uploadAudioFile(formData) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', '/api/transcript');
+        xhr.responseType = 'json';
+
+        xhr.upload.onprogress = (event) => {
+            if (!event.lengthComputable) return;
+            const percentage = Math.round((event.loaded / event.total) * 100);
+            updateProgressStep('download', 'active', percentage,
+                `Uploading... ${formatMegabytes(event.loaded)} of ${formatMegabytes(event.total)}`);
+        };
+
+        xhr.onload = () => {
+            const data = xhr.response || {};
+            if (xhr.status < 200 || xhr.status >= 300) {
+                reject(new Error(data.error || 'Failed to upload the audio file'));
+                return;
+            }
+            updateProgressStep('download', 'completed', 100, 'Upload complete');
+            resolve(data);
+        };
+        xhr.onerror = () => reject(new Error('Upload failed. Please check your connection and try again.'));
+
+        xhr.send(formData);
+    });
+}
+
+// Episode links the server can resolve: Spotify, Apple Podcasts (with the ?i= episode id), Overcast, Pocket Casts
+const EPISODE_LINK_PATTERNS = [
+    /^https?:\/\/open\.spotify\.com\/episode\/[a-zA-Z0-9]+/,
+    /^https?:\/\/(podcasts|itunes)\.apple\.com\/.*\/id\d+.*[?&]i=\d+/,
+    /^https?:\/\/overcast\.fm\/\+[A-Za-z0-9_-]+/,
+    /^https?:\/\/(pca\.st|(play\.)?pocketcasts\.com)\/.+/
+];
+
+// Validate episode link
+function isValidEpisodeUrl(url) {
+    return EPISODE_LINK_PATTERNS.some(pattern => pattern.test(url));
 }
 
 // Update progress step
@@ -148,6 +480,11 @@ function resetProgressSteps() {
 
 // Handle progress updates from SSE
 function handleProgressUpdate(progress) {
+    if (currentBatchId) {
+        handleBatchProgress(progress);
+        return;
+    }
+
     // Map backend step names to frontend step IDs
     const stepMapping = {
         'metadata': 'metadata',
@@ -158,14 +495,21 @@ function handleProgressUpdate(progress) {
         'splitting': 'compress', // Splitting also uses compress step
         'transcribe': 'transcribe',
         'merge': 'transcribe', // Merging also uses transcribe step
+        'chapters': 'summary', // Chapter generation shares the summary step
         'summary': 'summary',
         'complete': 'complete',
         'error': 'error'
     };
 
+    // Show queue position while the job waits for a free worker
+    if (progress.queue) {
+        const { position, length } = progress.queue;
+        updateProgressStep('metadata', 'active', 0, `Waiting in queue (position ${position} of ${length})...`);
+    }
+
     // Update each step based on progress
     Object.keys(progress).forEach(stepName => {
-        if (stepName === 'complete' || stepName === 'result') return;
+        if (stepName === 'complete' || stepName === 'error' || stepName === 'queue') return;
 
         const stepData = progress[stepName];
         const frontendStepId = stepMapping[stepName];
@@ -180,62 +524,245 @@ function handleProgressUpdate(progress) {
             }
         }
     });
+}
+
+// Add a transcribed chunk to the live transcript (a snapshot after reconnecting may resend it)
+function handlePartialTranscript(part) {
+    partialTranscript = partialTranscript.filter(existing => existing.index !== part.index).concat(part);
+    renderLiveTranscript();
+}
 
-    // Check if complete
-    if (progress.complete && currentJobId) {
-        console.log('Transcription and summary complete');
-        updateProgressStep('complete', 'completed', 100, 'Transcript and summary ready!');
+// The job finished: fetch the result
+function handleJobComplete() {
+    closeProgressStream();
+    if (!currentJobId) return;
 
-        // Fetch final result
-        setTimeout(() => fetchResult(currentJobId), 500);
+    if (currentBatchId) {
+        refreshBatchEpisodes(currentBatchId);
+        return;
     }
 
-    // Check for errors
-    if (progress.error) {
-        const errorData = progress.error;
-        showError(errorData.message || 'An error occurred during transcription');
+    console.log('Transcription and summary complete');
+    updateProgressStep('complete', 'completed', 100, 'Transcript and summary ready!');
+    const jobId = currentJobId;
+    setTimeout(() => fetchResult(jobId), 500);
+}
 
-        if (eventSource) {
-            eventSource.close();
-            eventSource = null;
-        }
+// The job failed or was cancelled
+function handleJobError(data) {
+    showError(data.message || 'An error occurred during transcription');
+}
+
+// Close the progress stream and stop any pending reconnect
+function closeProgressStream() {
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (eventSource) {
+        eventSource.close();
+        eventSource = null;
     }
 }
 
+// Open the progress stream for a job, resuming after the last event received
+function connectProgressStream(jobId) {
+    closeProgressStream();
+
+    const query = lastProgressEventId ? `?lastEventId=${encodeURIComponent(lastProgressEventId)}` : '';
+    eventSource = new EventSource(`/api/progress/${jobId}${query}`);
+
+    // Remember each event's id and hand its data to the handler
+    const listen = (type, handler) => {
+        eventSource.addEventListener(type, (event) => {
+            if (type === 'error' && !event.data) return; // Connection errors are handled by onerror
+            lastProgressEventId = event.lastEventId || lastProgressEventId;
+            reconnectAttempts = 0;
+            try {
+                handler(JSON.parse(event.data));
+            } catch (error) {
+                console.error(`Error handling ${type} event:`, error);
+            }
+        });
+    };
+
+    listen('progress', handleProgressUpdate);
+    listen('partial', handlePartialTranscript);
+    listen('selection', showEpisodePicker);
+    listen('complete', handleJobComplete);
+    listen('error', handleJobError);
+
+    // The browser retries dropped connections itself; once it gives up, reconnect with backoff
+    eventSource.onerror = () => {
+        if (!eventSource || eventSource.readyState !== EventSource.CLOSED || currentJobId !== jobId) return;
+
+        eventSource = null;
+        const delay = Math.min(1000 * 2 ** reconnectAttempts, 30000);
+        reconnectAttempts++;
+        console.warn(`Progress stream closed, reconnecting in ${delay / 1000}s...`);
+        reconnectTimer = setTimeout(() => connectProgressStream(jobId), delay);
+    };
+}
+
 // Start progress monitoring via SSE
 function startProgressMonitoring(jobId) {
     currentJobId = jobId;
+    lastProgressEventId = null;
+    reconnectAttempts = 0;
+    connectProgressStream(jobId);
+}
 
-    // Close existing connection if any
-    if (eventSource) {
-        eventSource.close();
+// Cancel the running job and return to the input form
+async function cancelTranscription() {
+    const jobId = currentJobId;
+    if (!jobId) return;
+
+    closeProgressStream();
+    currentJobId = null;
+    currentBatchId = null;
+
+    try {
+        const response = await fetch(`/api/jobs/${jobId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json();
+            console.warn('Cancel request failed:', data.error);
+        }
+    } catch (error) {
+        console.error('Error cancelling job:', error);
     }
 
-    // Create new EventSource for SSE
-    eventSource = new EventSource(`/api/progress/${jobId}`);
+    showSection('inputSection');
+}
 
-    eventSource.onmessage = (event) => {
-        try {
-            const progress = JSON.parse(event.data);
+// --- Whole-show batches ---
 
-            if (progress.status === 'connected') {
-                console.log('Connected to progress stream');
-                return;
-            }
+const BATCH_STATUS_LABELS = {
+    queued: 'Queued',
+    running: 'Transcribing',
+    completed: 'Done',
+    failed: 'Failed',
+    cancelled: 'Cancelled',
+    expired: 'Expired'
+};
+
+// Start a batch for the latest episodes of a Spotify show (or those in a date range)
+async function transcribeShow() {
+    const showInput = document.getElementById('showUrl');
+    const countInput = document.getElementById('batchCount');
+    const showUrl = showInput.value.trim();
+    const count = countInput.value.trim();
+    const since = document.getElementById('batchSince').value;
+    const until = document.getElementById('batchUntil').value;
+    const summaryStyle = document.getElementById('summaryStyle').value;
+    const summaryTemplate = document.getElementById('summaryTemplate').value.trim();
+
+    [showInput, countInput].forEach(input => input.classList.remove('input-error'));
+
+    if (!/^https?:\/\/open\.spotify\.com\/show\/[a-zA-Z0-9]+/.test(showUrl)) {
+        showInput.classList.add('input-error');
+        showError('Please enter a Spotify show URL (e.g., https://open.spotify.com/show/...)');
+        return;
+    }
+
+    if (!count && !since && !until) {
+        countInput.classList.add('input-error');
+        showError('Please choose how many episodes to transcribe, or a date range');
+        return;
+    }
 
-            handleProgressUpdate(progress);
-        } catch (error) {
-            console.error('Error parsing progress data:', error);
+    if (summaryStyle === 'custom' && !summaryTemplate.includes('{{transcript}}')) {
+        document.getElementById('summaryTemplate').classList.add('input-error');
+        showError('Custom summary templates must include the {{transcript}} placeholder');
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/batch', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                showUrl,
+                count: count ? Number(count) : undefined,
+                since: since || undefined,
+                until: until || undefined,
+                summaryStyle: summaryStyle === 'custom' ? undefined : summaryStyle,
+                summaryTemplate: summaryStyle === 'custom' ? summaryTemplate : undefined,
+                force: document.getElementById('forceRefresh').checked || undefined
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to start the batch');
         }
-    };
 
-    eventSource.onerror = (error) => {
-        console.error('EventSource error:', error);
-        if (eventSource) {
-            eventSource.close();
-            eventSource = null;
+        currentBatchId = data.batchId;
+        document.getElementById('batchTitle').textContent = 'Transcribing show';
+        document.getElementById('batchMessage').textContent = 'Finding episodes...';
+        document.getElementById('batchProgressBar').style.width = '0%';
+        document.getElementById('batchEpisodes').innerHTML = '';
+        document.getElementById('batchDownloadBtn').disabled = true;
+        showSection('batchSection');
+        startProgressMonitoring(data.batchId);
+    } catch (error) {
+        console.error('Error:', error);
+        showError(error.message);
+    }
+}
+
+// Show the batch's latest step; combined progress also refreshes the episode list
+function handleBatchProgress(progress) {
+    const messageEl = document.getElementById('batchMessage');
+    ['metadata', 'rss', 'parse'].forEach(step => {
+        if (progress[step]) {
+            messageEl.textContent = progress[step].message;
         }
-    };
+    });
+
+    if (progress.batch) {
+        messageEl.textContent = progress.batch.message;
+        document.getElementById('batchProgressBar').style.width = `${progress.batch.percentage}%`;
+        refreshBatchEpisodes(currentBatchId);
+    }
+}
+
+// Fetch and list the batch's episodes with their status
+async function refreshBatchEpisodes(batchId) {
+    try {
+        const response = await fetch(`/api/batch/${batchId}`);
+        const batch = await response.json();
+        if (!response.ok || batchId !== currentBatchId) return;
+
+        if (batch.show) {
+            document.getElementById('batchTitle').textContent = batch.show.name;
+        }
+        if (batch.status === 'completed') {
+            document.getElementById('batchMessage').textContent = `${batch.progress.message}. Transcripts are ready to download.`;
+        }
+
+        document.getElementById('batchEpisodes').innerHTML = batch.episodes.map(episode => {
+            const published = episode.published ? new Date(episode.published).toLocaleDateString() : '';
+            const status = BATCH_STATUS_LABELS[episode.status] || episode.status;
+            return `
+                <div class="episode-option batch-episode">
+                    <span class="episode-option-title">${escapeHtml(episode.title)}</span>
+                    <span class="episode-option-details">
+                        ${escapeHtml(published)}
+                        <span class="batch-status batch-status-${escapeHtml(episode.status)}">${escapeHtml(status)}</span>
+                        ${episode.error ? escapeHtml(episode.error) : ''}
+                    </span>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('batchDownloadBtn').disabled = !batch.episodes.some(episode => episode.status === 'completed');
+    } catch (error) {
+        console.error('Failed to refresh batch:', error);
+    }
+}
+
+// Download the zip of every finished episode
+function downloadBatchBundle() {
+    if (!currentJobId) return;
+    window.location.href = `/api/batch/${currentJobId}/bundle`;
 }
 
 // Fetch final result
@@ -259,26 +786,66 @@ async function fetchResult(jobId) {
 }
 
 // Main transcription function
-async function transcribeEpisode() {
-    const urlInput = document.getElementById('spotifyUrl');
+// Start a job for the selected input (episode link, audio URL or file), or for an episode chosen
+// from the feed browser (episodeGuid)
+async function transcribeEpisode(episodeGuid) {
+    const mode = episodeGuid ? 'episode' : inputMode;
+    if (mode === 'show') {
+        return transcribeShow();
+    }
+
+    const urlInput = document.getElementById('episodeUrl');
     const rssInput = document.getElementById('rssUrl');
-    const spotifyUrl = urlInput.value.trim();
+    const audioUrlInput = document.getElementById('audioUrl');
+    const fileInput = document.getElementById('audioFile');
+    const episodeUrl = urlInput.value.trim();
     const rssUrl = rssInput.value.trim();
+    const audioUrl = audioUrlInput.value.trim();
+    const audioFile = fileInput.files[0];
+    const title = document.getElementById('audioTitle').value.trim();
+    const summaryStyle = document.getElementById('summaryStyle').value;
+    const templateInput = document.getElementById('summaryTemplate');
+    const summaryTemplate = templateInput.value.trim();
+    const force = document.getElementById('forceRefresh').checked;
     const transcribeBtn = document.getElementById('transcribeBtn');
 
     // Reset visual error state
-    urlInput.classList.remove('input-error');
+    [urlInput, audioUrlInput, fileInput, templateInput].forEach(input => input.classList.remove('input-error'));
 
-    // Validate URL
-    if (!spotifyUrl) {
+    // Validate URL (not needed when the episode was chosen from the feed)
+    if (mode === 'episode' && !episodeUrl && !episodeGuid) {
         urlInput.classList.add('input-error');
-        showError('Please enter a Spotify podcast episode URL');
+        showError('Please enter a podcast episode link');
         return;
     }
 
-    if (!isValidSpotifyUrl(spotifyUrl)) {
+    if (mode === 'episode' && episodeUrl && !isValidEpisodeUrl(episodeUrl)) {
         urlInput.classList.add('input-error');
-        showError('Please enter a valid Spotify episode URL (e.g., https://open.spotify.com/episode/...)');
+        showError('Please enter an episode link from Spotify, Apple Podcasts, Overcast or Pocket Casts (e.g., https://open.spotify.com/episode/...)');
+        return;
+    }
+
+    if (mode === 'audioUrl' && !/^https?:\/\/\S+$/i.test(audioUrl)) {
+        audioUrlInput.classList.add('input-error');
+        showError('Please enter a direct link to an audio file (http:// or https://)');
+        return;
+    }
+
+    if (mode === 'upload' && !audioFile) {
+        fileInput.classList.add('input-error');
+        showError('Please choose an audio file to upload');
+        return;
+    }
+
+    if (mode === 'upload' && maxUploadMB && audioFile.size > maxUploadMB * 1024 * 1024) {
+        fileInput.classList.add('input-error');
+        showError(`${audioFile.name} is ${formatMegabytes(audioFile.size)}. Uploads are limited to ${maxUploadMB} MB.`);
+        return;
+    }
+
+    if (summaryStyle === 'custom' && !summaryTemplate.includes('{{transcript}}')) {
+        templateInput.classList.add('input-error');
+        showError('Custom summary templates must include the {{transcript}} placeholder');
         return;
     }
 
@@ -286,33 +853,59 @@ async function transcribeEpisode() {
     transcribeBtn.disabled = true;
     transcribeBtn.textContent = 'Processing...';
     resetProgressSteps();
+    hideEpisodePicker();
+    partialTranscript = [];
+    renderLiveTranscript();
     showSection('progressSection');
 
     // Prime summary UI
     const summaryEl = document.getElementById('summaryText');
     if (summaryEl) {
-        summaryEl.textContent = 'Generating summary with Gemini...';
+        summaryEl.textContent = 'Generating summary...';
         summaryEl.classList.add('summary-empty');
     }
 
+    const options = {
+        summaryStyle: summaryStyle === 'custom' ? undefined : summaryStyle,
+        summaryTemplate: summaryStyle === 'custom' ? summaryTemplate : undefined,
+        force: force || undefined
+    };
+
     try {
-        // Make API request to start transcription
-        const response = await fetch('/api/transcript', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ spotifyUrl, rssUrl: rssUrl || undefined })
-        });
+        let data;
+
+        if (mode === 'upload') {
+            const formData = new FormData();
+            formData.append('audio', audioFile);
+            if (title) formData.append('title', title);
+            Object.entries(options).forEach(([key, value]) => {
+                if (value !== undefined) formData.append(key, value);
+            });
+            data = await uploadAudioFile(formData);
+        } else {
+            const source = mode === 'audioUrl'
+                ? { audioUrl, title: title || undefined }
+                : { episodeUrl: episodeUrl || undefined, rssUrl: rssUrl || undefined, episodeGuid: episodeGuid || undefined };
+
+            // Make API request to start transcription
+            const response = await fetch('/api/transcript', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ ...source, ...options })
+            });
 
-        const data = await response.json();
+            data = await response.json();
 
-        if (!response.ok) {
-            throw new Error(data.error || 'Failed to start transcription');
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to start transcription');
+            }
         }
 
         // Start monitoring progress
         if (data.jobId) {
+            currentBatchId = null;
             startProgressMonitoring(data.jobId);
         } else {
             throw new Error('No job ID returned from server');
@@ -333,12 +926,18 @@ function displayResults(data) {
     // Set episode info
     document.getElementById('episodeTitle').textContent = data.episode.title;
 
-    const episodeDate = new Date(data.episode.published).toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-    document.getElementById('episodeDate').textContent = `Published: ${episodeDate}`;
+    // Direct audio and uploads have no publish date
+    const dateEl = document.getElementById('episodeDate');
+    if (data.episode.published) {
+        const episodeDate = new Date(data.episode.published).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+        dateEl.textContent = `Published: ${episodeDate}`;
+    } else {
+        dateEl.textContent = '';
+    }
 
     const durationEl = document.getElementById('episodeDuration');
     if (data.episode.duration) {
@@ -349,7 +948,22 @@ function displayResults(data) {
 
     // Set transcript
     currentTranscript = data.transcript;
-    document.getElementById('transcriptText').textContent = data.transcript;
+    currentSegments = data.segments || [];
+    renderTranscript(data.transcript, currentSegments);
+
+    // Set chapters (if available)
+    currentChapters = data.chapters || [];
+    renderChapters(currentChapters);
+
+    // Show which backend and model wrote the summary
+    currentSummaryProvider = data.summaryProvider || null;
+    currentSummaryStyle = data.summaryStyle || null;
+    const providerLabelEl = document.getElementById('summaryProviderLabel');
+    if (providerLabelEl) {
+        providerLabelEl.textContent = currentSummaryProvider
+            ? `${currentSummaryProvider.name} · ${currentSummaryProvider.model}`
+            : 'AI';
+    }
 
     // Set summary (if available)
     const summaryEl = document.getElementById('summaryText');
@@ -358,6 +972,12 @@ function displayResults(data) {
             currentSummary = data.summary;
             summaryEl.innerHTML = renderSummaryMarkdown(data.summary);
             summaryEl.classList.remove('summary-empty');
+
+            // Flag summaries that had to leave part of a long transcript out
+            const coverage = data.summaryCoverage;
+            if (coverage && !coverage.complete) {
+                summaryEl.innerHTML += `<p class="summary-coverage">Covers ${coverage.sectionsSummarised} of ${coverage.sections} sections of the transcript.</p>`;
+            }
         } else {
             currentSummary = '';
             summaryEl.textContent = 'Summary unavailable. You can still read the full transcript below.';
@@ -372,10 +992,7 @@ function displayResults(data) {
     document.getElementById('resultSection').scrollIntoView({ behavior: 'smooth' });
 
     // Close SSE connection
-    if (eventSource) {
-        eventSource.close();
-        eventSource = null;
-    }
+    closeProgressStream();
 }
 
 // Show error message
@@ -384,10 +1001,7 @@ function showError(message) {
     showSection('errorSection');
 
     // Close SSE connection
-    if (eventSource) {
-        eventSource.close();
-        eventSource = null;
-    }
+    closeProgressStream();
 }
 
 // Copy transcript to clipboard
@@ -441,7 +1055,7 @@ async function copySummary() {
 }
 
 // Allow Enter key to submit
-document.getElementById('spotifyUrl').addEventListener('keypress', (e) => {
+document.getElementById('episodeUrl').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
         transcribeEpisode();
     }
@@ -453,12 +1067,43 @@ document.getElementById('rssUrl').addEventListener('keypress', (e) => {
     }
 });
 
+document.getElementById('audioUrl').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+        transcribeEpisode();
+    }
+});
+
+// Warn about oversized files as soon as they are chosen
+document.getElementById('audioFile').addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    const hint = document.getElementById('uploadHint');
+    const tooLarge = Boolean(file && maxUploadMB && file.size > maxUploadMB * 1024 * 1024);
+
+    e.target.classList.toggle('input-error', tooLarge);
+    if (!file) {
+        hint.textContent = 'Choose a recording from your computer';
+    } else if (tooLarge) {
+        hint.textContent = `${formatMegabytes(file.size)} — too large, uploads are limited to ${maxUploadMB} MB`;
+    } else {
+        hint.textContent = `${file.name} (${formatMegabytes(file.size)})`;
+    }
+});
+
 // Check server health on load
 window.addEventListener('load', async () => {
+    loadSummaryStyles();
+
     try {
         const response = await fetch('/api/health');
         const data = await response.json();
         console.log('Server status:', data.status);
+        maxUploadMB = data.maxUploadMB || null;
+        if (data.batchMaxEpisodes) {
+            document.getElementById('batchCount').max = data.batchMaxEpisodes;
+        }
+        if (maxUploadMB) {
+            document.getElementById('uploadHint').textContent = `Choose a recording from your computer (up to ${maxUploadMB} MB)`;
+        }
     } catch (error) {
         console.error('Server health check failed:', error);
         showError('Cannot connect to server. Please make sure the server is running.');
@@ -466,11 +1111,7 @@ window.addEventListener('load', async () => {
 });
 
 // Clean up on page unload
-window.addEventListener('beforeunload', () => {
-    if (eventSource) {
-        eventSource.close();
-    }
-});
+window.addEventListener('beforeunload', closeProgressStream);
 
 // =========================================================================
 // IndexedDB Integration Functions
@@ -481,10 +1122,10 @@ let currentSpotifyUrl = '';
 
 // Intercept transcribeEpisode to save URL
 const originalTranscribeEpisode = transcribeEpisode;
-window.transcribeEpisode = async function () {
-    const urlInput = document.getElementById('spotifyUrl');
-    currentSpotifyUrl = urlInput.value.trim();
-    return originalTranscribeEpisode();
+window.transcribeEpisode = async function (episodeGuid) {
+    const urlInput = document.getElementById('episodeUrl');
+    currentSpotifyUrl = inputMode === 'episode' || episodeGuid ? urlInput.value.trim() : '';
+    return originalTranscribeEpisode(episodeGuid);
 };
 
 // Intercept displayResults to save episode data
@@ -506,7 +1147,11 @@ async function saveToLocal() {
         const data = {
             episode: currentEpisodeData,
             transcript: currentTranscript,
+            segments: currentSegments,
+            chapters: currentChapters,
             summary: currentSummary,
+            summaryProvider: currentSummaryProvider,
+            summaryStyle: currentSummaryStyle,
             spotifyUrl: currentSpotifyUrl
         };
 
@@ -548,6 +1193,7 @@ async function showSavedTranscripts() {
                     <div class="saved-item-meta">
                         <span>📅 ${new Date(t.timestamp).toLocaleDateString()}</span>
                         ${t.episodeDuration ? `<span>⏱️ ${escapeHtml(t.episodeDuration)}</span>` : ''}
+                        ${t.summaryStyle ? `<span>📝 ${escapeHtml(t.summaryStyle)}</span>` : ''}
                     </div>
                     <div class="saved-item-preview">
                         ${escapeHtml(t.transcript.substring(0, 150))}...
@@ -555,6 +1201,10 @@ async function showSavedTranscripts() {
                     <div class="saved-item-actions">
                         <button onclick="loadSavedTranscript(${t.id})" class="load-btn">📖 View</button>
                         <button onclick="exportSingleTranscript(${t.id})" class="export-single-btn">📄 Export</button>
+                        ${t.segments && t.segments.length > 0 ? `
+                        <button onclick="exportSingleTranscript(${t.id}, 'srt')" class="export-single-btn">🎬 SRT</button>
+                        <button onclick="exportSingleTranscript(${t.id}, 'vtt')" class="export-single-btn">🎬 VTT</button>
+                        ` : ''}
                     </div>
                 </div>
             `).join('');
@@ -587,7 +1237,11 @@ async function loadSavedTranscript(id) {
             displayResults({
                 episode: currentEpisodeData,
                 transcript: transcript.transcript,
-                summary: transcript.summary
+                segments: transcript.segments,
+                chapters: transcript.chapters,
+                summary: transcript.summary,
+                summaryProvider: transcript.summaryProvider,
+                summaryStyle: transcript.summaryStyle
             });
 
             closeSavedTranscripts();
@@ -616,18 +1270,31 @@ async function deleteSavedTranscript(id) {
     }
 }
 
-// Export single transcript as JSON
-async function exportSingleTranscript(id) {
+// Export single transcript as JSON, or as SRT / WebVTT subtitles built from its segments
+async function exportSingleTranscript(id, format = 'json') {
     try {
         const transcript = await transcriptDB.getTranscript(id);
         if (transcript) {
-            const dataStr = JSON.stringify(transcript, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
+            let dataStr;
+            let mimeType;
+
+            if (format === 'srt') {
+                dataStr = segmentsToSrt(transcript.segments);
+                mimeType = 'application/x-subrip';
+            } else if (format === 'vtt') {
+                dataStr = segmentsToWebVtt(transcript.segments);
+                mimeType = 'text/vtt';
+            } else {
+                dataStr = JSON.stringify(transcript, null, 2);
+                mimeType = 'application/json';
+            }
+
+            const dataBlob = new Blob([dataStr], { type: mimeType });
             const url = URL.createObjectURL(dataBlob);
             const link = document.createElement('a');
             link.href = url;
             const filename = transcript.episodeTitle.replace(/[^a-z0-9]/gi, '-').toLowerCase();
-            link.download = `transcript-${filename}-${Date.now()}.json`;
+            link.download = `transcript-${filename}-${Date.now()}.${format}`;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
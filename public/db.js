@@ -56,7 +56,11 @@ class TranscriptDB {
                 episodeDate: data.episode.published,
                 episodeDuration: data.episode.duration,
                 transcript: data.transcript,
+                segments: data.segments || [],
+                chapters: data.chapters || [],
                 summary: data.summary || null,
+                summaryProvider: data.summaryProvider || null,
+                summaryStyle: data.summaryStyle || null,
                 spotifyUrl: data.spotifyUrl || null,
                 timestamp: Date.now(),
                 dateAdded: new Date().toISOString()
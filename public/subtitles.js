@@ -0,0 +1,116 @@
+// Subtitle (SRT / WebVTT) generation from Whisper segments.
+// Loaded by the browser as a plain script and required by server.js.
+
+const SUBTITLE_MAX_LINE_LENGTH = 42;
+const SUBTITLE_MAX_LINES = 2;
+const SUBTITLE_MAX_CUE_SECONDS = 7;
+
+// Wrap text into lines of at most maxLength characters (a single long word gets its own line)
+function wrapSubtitleText(text, maxLength = SUBTITLE_MAX_LINE_LENGTH) {
+    const lines = [];
+    let line = '';
+
+    text.split(/\s+/).filter(Boolean).forEach(word => {
+        if (line && (line + ' ' + word).length > maxLength) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    });
+
+    if (line) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+// Split one segment into cues that fit on screen and don't stay up too long.
+// Time is shared between the pieces in proportion to their length.
+function splitSegmentIntoCues(segment) {
+    const words = segment.text.split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+
+    const duration = Math.max(0, segment.end - segment.start);
+    const piecesForLength = Math.ceil(wrapSubtitleText(segment.text).length / SUBTITLE_MAX_LINES);
+    const piecesForDuration = Math.ceil(duration / SUBTITLE_MAX_CUE_SECONDS);
+    const pieceCount = Math.min(words.length, Math.max(piecesForLength, piecesForDuration, 1));
+    const wordsPerPiece = Math.ceil(words.length / pieceCount);
+
+    const pieces = [];
+    for (let i = 0; i < words.length; i += wordsPerPiece) {
+        pieces.push(words.slice(i, i + wordsPerPiece).join(' '));
+    }
+
+    const totalLength = pieces.reduce((sum, piece) => sum + piece.length, 0);
+    let start = segment.start;
+
+    return pieces.map((piece, index) => {
+        const end = index === pieces.length - 1
+            ? segment.end
+            : start + duration * (piece.length / totalLength);
+        const cue = { start, end, lines: wrapSubtitleText(piece) };
+        start = end;
+        return cue;
+    });
+}
+
+// Build ordered, non-overlapping cues from transcript segments
+function buildSubtitleCues(segments) {
+    const cues = [];
+
+    (segments || []).forEach(segment => {
+        splitSegmentIntoCues(segment).forEach(cue => {
+            const previous = cues[cues.length - 1];
+            if (previous && cue.start < previous.end) {
+                cue.start = previous.end;
+            }
+            if (cue.end <= cue.start) {
+                cue.end = cue.start + 0.5;
+            }
+            cues.push(cue);
+        });
+    });
+
+    return cues;
+}
+
+// Format seconds as HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+function formatSubtitleTimestamp(seconds, separator = ',') {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+// Render segments as an SRT file
+function segmentsToSrt(segments) {
+    return buildSubtitleCues(segments).map((cue, index) => [
+        index + 1,
+        `${formatSubtitleTimestamp(cue.start, ',')} --> ${formatSubtitleTimestamp(cue.end, ',')}`,
+        ...cue.lines
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+// Render segments as a WebVTT file
+function segmentsToWebVtt(segments) {
+    const cues = buildSubtitleCues(segments).map(cue => [
+        `${formatSubtitleTimestamp(cue.start, '.')} --> ${formatSubtitleTimestamp(cue.end, '.')}`,
+        ...cue.lines
+    ].join('\n'));
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildSubtitleCues,
+        formatSubtitleTimestamp,
+        segmentsToSrt,
+        segmentsToWebVtt
+    };
+}
@@ -0,0 +1,333 @@
+// Episode link resolvers: work out which episode a podcast app's link points at, and what is
+// needed to find it in the show's RSS feed. They hold no server state and make every request
+// through the `http` client they are created with, so they can be run against recorded responses.
+//
+// Each resolver exposes the same interface:
+//   name, label
+//   matches(url)       - whether the link belongs to this app
+//   getEpisodeId(url)  - stable id of the episode (throws for links that aren't to an episode)
+//   resolve(url, { signal }) -> null when the app has no such episode, otherwise {
+//     title, podcast, durationMs, releaseDate  - what the app knows about the episode
+//     publisher - who makes the show, when the app says (helps tell same-named shows apart)
+//     rssUrl    - the show's feed, when the link reveals it
+//     guid      - the feed item's GUID, when the app knows it
+//     audioUrl  - the episode's audio file, when the page links it
+//   }
+//
+// `http` has two methods, both resolving to the response body:
+//   getText(url, { signal })          - follows redirects
+//   getJson(url, { params, signal })
+// Failed requests reject with the HTTP status in error.response.status, as axios does.
+
+const createSpotifyUrlInfo = require('spotify-url-info');
+
+const ITUNES_LOOKUP_URL = 'https://itunes.apple.com/lookup';
+const ITUNES_EPISODE_LIMIT = 200; // Most recent episodes returned by the lookup API
+
+// Decode the HTML entities found in titles and meta tags
+const decodeHtmlEntities = (text) => {
+  return text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&(?:#39|apos);/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&bull;/g, '•')
+    .replace(/&middot;/g, '·')
+    .replace(/&mdash;/g, '—')
+    .replace(/&ndash;/g, '–')
+    .replace(/&amp;/g, '&');
+};
+
+// Attributes of every tag with the given name, e.g. getTags(html, 'meta') -> [{ property, content }]
+const getTags = (html, tagName) => {
+  const tags = html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'gi')) || [];
+  return tags.map(tag => {
+    const attributes = {};
+    for (const [, name, , doubleQuoted, singleQuoted] of tag.matchAll(/([a-z:_-]+)\s*=\s*("([^"]*)"|'([^']*)')/gi)) {
+      attributes[name.toLowerCase()] = decodeHtmlEntities(doubleQuoted ?? singleQuoted);
+    }
+    return attributes;
+  });
+};
+
+// Content of a <meta property="..."> or <meta name="..."> tag
+const getMetaContent = (html, key) => {
+  const tag = getTags(html, 'meta').find(meta => meta.property === key || meta.name === key);
+  return tag?.content?.trim() || null;
+};
+
+// The first schema.org PodcastEpisode described in the page's JSON-LD, if any
+const getJsonLdEpisode = (html) => {
+  const scripts = html.match(/<script[^>]*application\/ld\+json[^>]*>[\s\S]*?<\/script>/gi) || [];
+  for (const script of scripts) {
+    try {
+      const data = JSON.parse(script.replace(/^<script[^>]*>/i, '').replace(/<\/script>$/i, ''));
+      const nodes = [].concat(data).flatMap(node => node?.['@graph'] || [node]);
+      const episode = nodes.find(node => [].concat(node?.['@type']).includes('PodcastEpisode'));
+      if (episode) return episode;
+    } catch (error) {
+      // Ignore JSON-LD we can't parse
+    }
+  }
+  return null;
+};
+
+// Resolve a possibly relative link, dropping media fragments such as "#t=0"
+const toAbsoluteUrl = (link, pageUrl) => {
+  try {
+    const url = new URL(link, pageUrl);
+    url.hash = '';
+    return url.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+// What an episode share page says about the episode: from its JSON-LD, Open Graph tags and audio player
+const parseSharePage = (html, pageUrl) => {
+  const episode = getJsonLdEpisode(html);
+  const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const media = [].concat(episode?.associatedMedia || [])[0];
+  const audioTag = getTags(html, 'audio').find(tag => tag.src) || getTags(html, 'source').find(tag => tag.src);
+  const feedLink = getTags(html, 'link').find(link => /rss|atom/i.test(link.type || '') && link.href);
+  const itunesLink = html.match(/(?:\/itunes|apple\.com\/[^"'\s]*\/id)(\d{5,})/);
+
+  const audioUrl = media?.contentUrl || getMetaContent(html, 'og:audio') ||
+    getMetaContent(html, 'og:audio:url') || getMetaContent(html, 'twitter:player:stream') || audioTag?.src;
+
+  return {
+    title: episode?.name || getMetaContent(html, 'og:title') || (titleTag ? decodeHtmlEntities(titleTag[1]).trim() : null),
+    podcast: [].concat(episode?.partOfSeries || [])[0]?.name || null,
+    releaseDate: episode?.datePublished || null,
+    audioUrl: audioUrl ? toAbsoluteUrl(audioUrl, pageUrl) : null,
+    rssUrl: feedLink ? toAbsoluteUrl(feedLink.href, pageUrl) : null,
+    itunesId: itunesLink ? itunesLink[1] : null
+  };
+};
+
+// Split "Episode — Podcast — App" style page titles, dropping the app's name
+const splitPageTitle = (title, separator, appName) => {
+  const parts = (title || '').split(separator).map(part => part.trim()).filter(Boolean);
+  if (parts.length > 1 && parts[parts.length - 1].toLowerCase() === appName.toLowerCase()) {
+    parts.pop();
+  }
+  return {
+    title: parts.length > 1 ? parts.slice(0, -1).join(separator) : parts[0] || null,
+    podcast: parts.length > 1 ? parts[parts.length - 1] : null
+  };
+};
+
+// Parse a link, returning null for anything that isn't a URL string
+const parseUrl = (url) => {
+  if (typeof url !== 'string') return null;
+  try {
+    return new URL(url);
+  } catch (error) {
+    return null;
+  }
+};
+
+const createEpisodeResolvers = (http) => {
+  // Show and recent episodes from the iTunes lookup API
+  const lookupApplePodcast = async (collectionId, signal) => {
+    const data = await http.getJson(ITUNES_LOOKUP_URL, {
+      params: { id: collectionId, entity: 'podcastEpisode', limit: ITUNES_EPISODE_LIMIT },
+      signal
+    });
+    const results = data?.results || [];
+    return {
+      show: results.find(result => result.kind === 'podcast' || result.wrapperType === 'track') || null,
+      episodes: results.filter(result => result.kind === 'podcast-episode' || result.wrapperType === 'podcastEpisode')
+    };
+  };
+
+  // A share page's HTML, or null when the app answers that there's no such episode
+  const getSharePage = async (url, signal) => {
+    try {
+      return await http.getText(url, { signal });
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  };
+
+  // Share pages that only name the show by its iTunes id still lead to the feed
+  const findFeedByItunesId = async (itunesId, signal) => {
+    if (!itunesId) return null;
+    const { show } = await lookupApplePodcast(itunesId, signal);
+    return show?.feedUrl || null;
+  };
+
+  const spotifyUrlInfo = createSpotifyUrlInfo(async (url, opts = {}) => ({
+    text: async () => http.getText(url, { signal: opts.signal })
+  }));
+
+  // open.spotify.com/episode/<id>, read from Spotify's embed page
+  const spotifyResolver = {
+    name: 'spotify',
+    label: 'Spotify',
+    matches: (url) => parseUrl(url)?.hostname === 'open.spotify.com',
+    getEpisodeId: (url) => {
+      const match = url.match(/episode\/([a-zA-Z0-9]+)/);
+      if (!match) {
+        throw new Error('Invalid Spotify episode URL');
+      }
+      return match[1];
+    },
+    resolve: async (url, { signal } = {}) => {
+      const data = await spotifyUrlInfo.getData(url, { signal });
+      if (!data) return null;
+      return {
+        title: data.name,
+        podcast: data.subtitle,
+        publisher: data.show?.publisher || null,
+        durationMs: data.duration,
+        releaseDate: data.releaseDate?.isoString || data.release_date
+      };
+    }
+  };
+
+  // podcasts.apple.com/<country>/podcast/<slug>/id<show>?i=<episode>, looked up with the iTunes API,
+  // which gives the feed URL and usually the episode's GUID
+  const appleResolver = {
+    name: 'apple',
+    label: 'Apple Podcasts',
+    matches: (url) => /^(podcasts|itunes)\.apple\.com$/.test(parseUrl(url)?.hostname || ''),
+    getEpisodeId: (url) => {
+      const episodeId = parseUrl(url).searchParams.get('i');
+      if (!/^\d+$/.test(episodeId || '')) {
+        throw new Error('This Apple Podcasts link is for a show. Open the episode and share its link instead.');
+      }
+      return episodeId;
+    },
+    resolve: async (url, { signal } = {}) => {
+      const parsed = parseUrl(url);
+      const collectionMatch = parsed.pathname.match(/\/id(\d+)/);
+      if (!collectionMatch) return null;
+
+      const episodeId = Number(appleResolver.getEpisodeId(url));
+      const { show, episodes } = await lookupApplePodcast(collectionMatch[1], signal);
+      const episode = episodes.find(result => result.trackId === episodeId);
+
+      if (episode) {
+        return {
+          title: episode.trackName,
+          podcast: episode.collectionName || show?.collectionName,
+          durationMs: episode.trackTimeMillis,
+          releaseDate: episode.releaseDate,
+          rssUrl: episode.feedUrl || show?.feedUrl || null,
+          guid: episode.episodeGuid || null,
+          audioUrl: episode.episodeUrl || null
+        };
+      }
+
+      // Older than the episodes the API returns: fall back to the title in the link's slug
+      if (!show) return null;
+      const slug = parsed.pathname.split('/').filter(Boolean).find((part, index, parts) => parts[index - 1] === 'podcast');
+      return {
+        title: slug ? decodeURIComponent(slug).replace(/-/g, ' ') : null,
+        podcast: show.collectionName,
+        rssUrl: show.feedUrl || null
+      };
+    }
+  };
+
+  // overcast.fm/+<id> share pages: "Episode — Podcast — Overcast" title, an <audio> player and
+  // a link to the show's iTunes id
+  const overcastResolver = {
+    name: 'overcast',
+    label: 'Overcast',
+    matches: (url) => parseUrl(url)?.hostname === 'overcast.fm',
+    getEpisodeId: (url) => {
+      const match = parseUrl(url).pathname.match(/^\/\+([A-Za-z0-9_-]+)/);
+      if (!match) {
+        throw new Error('Invalid Overcast episode link (expected https://overcast.fm/+...)');
+      }
+      return match[1];
+    },
+    resolve: async (url, { signal } = {}) => {
+      const html = await getSharePage(url, signal);
+      if (!html) return null;
+      const page = parseSharePage(html, url);
+      const { title, podcast } = splitPageTitle(page.title, ' — ', 'Overcast');
+      const showLink = html.match(/<a[^>]*href="\/itunes\d+[^"]*"[^>]*>([^<]+)<\/a>/i);
+      const dateMatch = html.match(/\b([A-Z][a-z]{2,8} \d{1,2}, \d{4})\b/);
+
+      return {
+        title,
+        podcast: page.podcast || podcast || (showLink ? decodeHtmlEntities(showLink[1]).trim() : null),
+        releaseDate: page.releaseDate || (dateMatch ? dateMatch[1] : null),
+        rssUrl: page.rssUrl || await findFeedByItunesId(page.itunesId, signal),
+        audioUrl: page.audioUrl
+      };
+    }
+  };
+
+  // pca.st and pocketcasts.com share pages, read from their JSON-LD and Open Graph tags
+  const pocketCastsResolver = {
+    name: 'pocketcasts',
+    label: 'Pocket Casts',
+    matches: (url) => /^(pca\.st|(play\.)?pocketcasts\.com)$/.test(parseUrl(url)?.hostname || ''),
+    getEpisodeId: (url) => {
+      const parts = parseUrl(url).pathname.split('/').filter(Boolean);
+      const uuids = parts.filter(part => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(part));
+      const isShortLink = parseUrl(url).hostname === 'pca.st' && parts.length === 1 && /^[A-Za-z0-9]+$/.test(parts[0]);
+
+      // Podcast pages carry one UUID (the show), episode pages a second one
+      if (uuids.length >= 2 || (parts[0] === 'episode' && uuids.length === 1)) {
+        return uuids[uuids.length - 1];
+      }
+      if (isShortLink) {
+        return parts[0];
+      }
+      throw new Error('This Pocket Casts link is not for an episode. Share the episode itself instead.');
+    },
+    resolve: async (url, { signal } = {}) => {
+      const html = await getSharePage(url, signal);
+      if (!html) return null;
+      const page = parseSharePage(html, url);
+      const { title, podcast } = splitPageTitle(page.title, ' - ', 'Pocket Casts');
+      const siteName = getMetaContent(html, 'og:site_name');
+
+      return {
+        title: page.podcast ? page.title : title,
+        podcast: page.podcast || (siteName && siteName !== 'Pocket Casts' ? siteName : podcast),
+        releaseDate: page.releaseDate,
+        rssUrl: page.rssUrl || await findFeedByItunesId(page.itunesId, signal),
+        audioUrl: page.audioUrl
+      };
+    }
+  };
+
+  return [spotifyResolver, appleResolver, overcastResolver, pocketCastsResolver];
+};
+
+// open.spotify.com/show/<id>: the show's name and publisher (for feed discovery) from its page's Open Graph tags
+const createSpotifyShowResolver = (http) => ({
+  matches: (url) => parseUrl(url)?.hostname === 'open.spotify.com' && /^\/show\//.test(parseUrl(url).pathname),
+  getShowId: (url) => {
+    const match = url.match(/show\/([a-zA-Z0-9]+)/);
+    if (!match) {
+      throw new Error('Invalid Spotify show URL');
+    }
+    return match[1];
+  },
+  resolve: async (url, { signal } = {}) => {
+    const html = await http.getText(url, { signal });
+    const titleTag = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    const title = getMetaContent(html, 'og:title') || (titleTag ? decodeHtmlEntities(titleTag[1]) : '');
+    const name = title.replace(/\s*\|\s*Podcast on Spotify\s*$/i, '').trim();
+    // The description reads "Podcast · <publisher> · <about the show>"
+    const publisherMatch = (getMetaContent(html, 'og:description') || '').match(/^Podcast\s*·\s*(.+?)\s*·/);
+    return name ? { name, publisher: publisherMatch ? publisherMatch[1] : null } : null;
+  }
+});
+
+module.exports = {
+  createEpisodeResolvers,
+  createSpotifyShowResolver,
+  parseSharePage
+};
@@ -4,12 +4,32 @@ const axios = require('axios');
 const fs = require('fs').promises;
 const path = require('path');
 const Parser = require('rss-parser');
-const Groq = require('groq-sdk');
+const multer = require('multer');
+const { execFile } = require('child_process');
+const util = require('util');
 const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegPath = require('ffmpeg-static');
 const ffprobePath = require('ffprobe-static').path;
 const stringSimilarity = require('string-similarity');
+const { segmentsToSrt, segmentsToWebVtt } = require('./public/subtitles');
+const archiver = require('archiver');
+const { createEpisodeResolvers, createSpotifyShowResolver } = require('./resolvers');
+const { writeJsonFile } = require('./json-file');
+const { WEBHOOK_EVENTS, describeWebhookEndpoint, describeWebhookDelivery, createWebhookNotifier } = require('./webhooks');
+const { normaliseSegments, mergeTranscriptions } = require('./transcript-merge');
+const { MATCH_MIN_SCORE, durationToSeconds, rankFeedItems, formatMatchScore } = require('./episode-matching');
+const { findExpiredJobs, getAbandonedJobMessage } = require('./job-expiry');
+const { lookupPublicAddress, assertPublicUrl } = require('./address-guard');
+const {
+  createGroqProvider,
+  createOpenAiCompatibleProvider,
+  sleep,
+  createRequestBudget,
+  isRetryableNetworkError,
+  transcribeWithRetries
+} = require('./transcription');
 
 ffmpeg.setFfmpegPath(ffmpegPath);
 ffmpeg.setFfprobePath(ffprobePath);
@@ -19,61 +39,615 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 const TEMP_DIR = '/tmp'; // Vercel only allows writing to /tmp
-const MAX_FILE_SIZE_MB = 25; // Groq free tier limit
 const CHUNK_DURATION_SECONDS = 600; // 10 minutes
-const CHUNK_OVERLAP_SECONDS = 10;
-
-// Progress tracking
-const progressStore = new Map();
-
-// Initialize spotify-url-info with axios-based fetch
-const spotifyUrlInfo = require('spotify-url-info')(async (url) => {
-  const response = await axios.get(url);
-  return {
-    text: async () => response.data
-  };
-});
+const CHUNK_OVERLAP_SECONDS = 10; // Only used when a boundary can't be placed in a silence
+const CHUNK_SILENCE_WINDOW_SECONDS = 30; // How far from each 10-minute mark to look for a silence
+const SILENCE_NOISE_LEVEL = '-35dB'; // Quieter than this counts as silence
+const SILENCE_MIN_SECONDS = 0.4; // Shorter pauses are ignored
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const JOBS_DIR = path.join(DATA_DIR, 'jobs');
+const JOB_RETENTION_HOURS = Number(process.env.JOB_RETENTION_HOURS) || 168; // Keep finished jobs for 7 days
+const JOB_MAX_ATTEMPTS = 2; // Runs per job, including the one interrupted by a restart
+const RESUME_INTERRUPTED_JOBS = process.env.RESUME_INTERRUPTED_JOBS !== 'false';
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const RESULT_CACHE_MAX_ENTRIES = Number(process.env.RESULT_CACHE_MAX_ENTRIES) || 200;
+const RESULT_CACHE_TTL_HOURS = Number(process.env.RESULT_CACHE_TTL_HOURS) || 720; // 30 days
+const MATCH_CANDIDATE_COUNT = 5; // Episodes offered in the picker
+const RESOLVER_TIMEOUT_MS = 15000; // Per request made while looking up an episode link
+const FEED_TIMEOUT_MS = 60000; // Per RSS feed request
+const FEED_CACHE_MAX_ENTRIES = Number(process.env.FEED_CACHE_MAX_ENTRIES) || 20; // Parsed feeds kept in memory
+const FEED_CACHE_FRESH_MINUTES = process.env.FEED_CACHE_FRESH_MINUTES ? Number(process.env.FEED_CACHE_FRESH_MINUTES) : 10; // Cached feeds are used without a request for this long
+const FEED_LOOKUPS_FILE = path.join(DATA_DIR, 'feed-lookups.json');
+const FEED_LOOKUP_TTL_HOURS = Number(process.env.FEED_LOOKUP_TTL_HOURS) || 168; // Show name -> feed URL results kept for 7 days
+const FEED_CANDIDATE_COUNT = 5; // Feeds ranked, and offered when discovery can't tell which is the show
+const FEED_SCORE_WEIGHTS = { title: 0.5, author: 0.25, episode: 0.25 }; // Parts without data are left out
+const FEED_MIN_SCORE = 0.5; // Lower best candidates ask the user to pick the feed
+const FEED_MIN_LEAD = 0.15; // Margin over the runner-up needed when only the title matches
+const FEED_CORROBORATION_SCORE = 0.8; // Author or episode match strong enough to settle a close call
+const MAX_DOWNLOAD_MB = Number(process.env.MAX_DOWNLOAD_MB) || 500;
+const MAX_UPLOAD_MB = Number(process.env.MAX_UPLOAD_MB) || MAX_DOWNLOAD_MB;
+const DOWNLOAD_CONNECT_TIMEOUT_MS = Number(process.env.DOWNLOAD_CONNECT_TIMEOUT_MS) || 15000; // Until the audio host sends headers
+const DOWNLOAD_IDLE_TIMEOUT_MS = Number(process.env.DOWNLOAD_IDLE_TIMEOUT_MS) || 30000; // Longest gap between bytes
+const DOWNLOAD_MAX_RESUMES = 3; // Range requests made after an interrupted download
+const MAX_DOWNLOAD_REDIRECTS = 10;
+const ALLOW_PRIVATE_AUDIO_HOSTS = process.env.ALLOW_PRIVATE_AUDIO_HOSTS === 'true'; // Download from loopback and private addresses
+const MAX_CONCURRENT_JOBS = Number(process.env.MAX_CONCURRENT_JOBS) || 1; // Pipelines allowed to run at once
+const MAX_QUEUED_JOBS = Number(process.env.MAX_QUEUED_JOBS) || 50; // Waiting jobs before new requests are rejected
+const BATCH_MAX_EPISODES = Number(process.env.BATCH_MAX_EPISODES) || 50; // Episodes one show batch may queue
+const BATCH_PROGRESS_INTERVAL_MS = 1000; // Child job updates are rolled up into their batch at most this often
+const WEBHOOKS_DIR = path.join(DATA_DIR, 'webhooks');
+const WEBHOOK_DELIVERIES_DIR = path.join(DATA_DIR, 'webhook-deliveries');
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000; // Per delivery attempt
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5; // Per delivery, including the first
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 10000; // Doubled after each failed attempt
+const WEBHOOK_RETRY_MAX_MS = 60 * 60 * 1000;
+const WEBHOOK_DELIVERY_LOG_LIMIT = 200; // Finished deliveries kept for inspection
+const SUBSCRIPTIONS_DIR = path.join(DATA_DIR, 'subscriptions');
+const SUBSCRIPTION_POLL_MINUTES = Number(process.env.SUBSCRIPTION_POLL_MINUTES) || 60; // How often subscribed feeds are checked
+const SUBSCRIPTION_MAX_NEW_EPISODES = 5; // Queued per check; more new items at once usually means the feed re-issued its GUIDs
+const SUBSCRIPTION_RECENT_EPISODES = 20; // Episode jobs remembered per subscription
+const PIPELINE_STEPS = ['metadata', 'rss', 'parse', 'download', 'compress', 'transcribe', 'chapters', 'summary'];
+const SSE_HEARTBEAT_MS = 15000; // Comment lines that keep idle progress streams open through proxies
+const SSE_RETRY_MS = 2000; // Reconnect delay suggested to the browser
+const JOB_EVENT_HISTORY_LIMIT = 500; // Events kept per running job for Last-Event-ID replay
+const SERVER_BOOT_ID = crypto.randomBytes(4).toString('hex'); // Event ids from a previous process can't be replayed
+
+// Job tracking (in-memory view of the jobs persisted under JOBS_DIR)
+const jobStore = new Map();
+const pendingJobWrites = new Map();
+const jobWriteChains = new Map();
+
+// Result cache: entries by id, and the episode keys (Spotify ID, enclosure URL, GUID) pointing at them
+const resultCache = new Map();
+const resultCacheIndex = new Map();
+
+// Progress events per job: an emitter for the open streams, recent events for replay and the next event id
+const jobEvents = new Map();
+
+// Job queue: ids waiting to run, and the cancellation context of each running job
+const jobQueue = [];
+const activeJobs = new Map();
+
+// Show batches whose combined progress is due to be recomputed
+const pendingBatchRefreshes = new Map();
+
+// Parsed RSS feeds by URL with their ETag / Last-Modified (least recently used first), and the requests in flight
+const feedCache = new Map();
+const pendingFeedFetches = new Map();
+
+// Feed URLs found by findRssFeed, by show name (persisted to FEED_LOOKUPS_FILE)
+const feedLookups = new Map();
+
+// Feed subscriptions (persisted under SUBSCRIPTIONS_DIR), and the feed checks currently running for them
+const subscriptions = new Map();
+const subscriptionChecks = new Map();
+
+// Episode link resolvers (Spotify, Apple Podcasts, Overcast, Pocket Casts) and the Spotify show
+// lookup used by batches, making their requests with axios
+const resolverHttp = {
+  getText: async (url, { signal } = {}) => {
+    const response = await axios.get(url, { signal, timeout: RESOLVER_TIMEOUT_MS, responseType: 'text' });
+    return response.data;
+  },
+  getJson: async (url, { params, signal } = {}) => {
+    const response = await axios.get(url, { params, signal, timeout: RESOLVER_TIMEOUT_MS });
+    return response.data;
+  }
+};
+const episodeResolvers = createEpisodeResolvers(resolverHttp);
+const spotifyShowResolver = createSpotifyShowResolver(resolverHttp);
 
 // Initialize services
 const rssParser = new Parser();
-const groq = new Groq({
-  apiKey: process.env.GROQ_API_KEY
-});
+
+const TRANSCRIPTION_LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE || 'en';
+const TRANSCRIPTION_TIMEOUT_MS = Number(process.env.TRANSCRIPTION_TIMEOUT_MS) || 300000; // Per request
+const TRANSCRIPTION_MAX_RETRIES = process.env.TRANSCRIPTION_MAX_RETRIES ? Number(process.env.TRANSCRIPTION_MAX_RETRIES) : 4; // Per request
+const TRANSCRIPTION_RETRY_BASE_MS = Number(process.env.TRANSCRIPTION_RETRY_BASE_MS) || 2000; // Doubled on each retry
+const TRANSCRIPTION_RETRY_MAX_MS = 60000;
 
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GEMINI_MODEL_ID = process.env.GEMINI_MODEL_ID || 'gemini-flash-latest';
+const DEFAULT_SUMMARY_PROVIDER = process.env.SUMMARY_PROVIDER || 'gemini';
+const SUMMARY_SECTION_CHARS = Number(process.env.SUMMARY_SECTION_CHARS) || 20000; // Transcripts longer than this are summarised section by section
+const SUMMARY_MAX_SECTIONS = 30;
+const CHAPTER_BLOCK_SECONDS = 60; // Segments are grouped into blocks of this length for the chapter prompt
+const CHAPTER_INPUT_CHARS = 60000; // Block text is shortened to keep the chapter prompt under this size
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
 
+// Write a job record to disk
+const writeJob = async (job) => {
+  await writeJsonFile(path.join(JOBS_DIR, `${job.id}.json`), job);
+};
+
+// Persist a job, batching the frequent progress updates into a single write.
+// Writes for the same job are chained so they never overlap on the temp file.
+const persistJob = (jobId, immediate = false) => {
+  const pending = pendingJobWrites.get(jobId);
+  if (pending) {
+    if (!immediate) return;
+    clearTimeout(pending);
+    pendingJobWrites.delete(jobId);
+  }
+
+  const flush = () => {
+    pendingJobWrites.delete(jobId);
+    const previousWrite = jobWriteChains.get(jobId) || Promise.resolve();
+    const write = previousWrite.then(async () => {
+      const job = jobStore.get(jobId);
+      if (!job) return;
+      try {
+        await writeJob(job);
+      } catch (error) {
+        console.error(`[${jobId}] Failed to persist job:`, error.message);
+      }
+    });
+    jobWriteChains.set(jobId, write);
+    write.then(() => {
+      if (jobWriteChains.get(jobId) === write) {
+        jobWriteChains.delete(jobId);
+      }
+    });
+    return write;
+  };
+
+  if (immediate) {
+    return flush();
+  }
+  pendingJobWrites.set(jobId, setTimeout(flush, 250));
+};
+
+// Create a new job record
+const createJob = (jobId, input) => {
+  const now = Date.now();
+  const job = {
+    id: jobId,
+    status: 'queued',
+    input,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    progress: {},
+    result: null,
+    error: null,
+    complete: false
+  };
+  jobStore.set(jobId, job);
+  persistJob(jobId, true);
+  return job;
+};
+
 // Progress helper
 const updateProgress = (jobId, step, percentage, message) => {
-  const progress = progressStore.get(jobId) || {};
-  progress[step] = { percentage, message, timestamp: Date.now() };
-  progressStore.set(jobId, progress);
+  const job = jobStore.get(jobId);
+  if (!job) return;
+  job.progress[step] = { percentage, message, timestamp: Date.now() };
+  job.updatedAt = Date.now();
+  persistJob(jobId);
+  emitJobEvent(jobId, 'progress', { [step]: job.progress[step] });
   console.log(`[${jobId}] ${step}: ${message} (${percentage}%)`);
+
+  if (job.input.batchId) {
+    scheduleBatchRefresh(job.input.batchId);
+  }
 };
 
-// Webhook helper
-const sendWebhook = async (subject, body) => {
-  const webhookUrl = process.env.WEBHOOK_URL;
-  if (!webhookUrl) {
-    console.warn('WEBHOOK_URL not configured, skipping webhook');
-    return;
+// Record the text of a transcribed chunk so the progress stream can show the transcript as it grows
+const addPartialTranscript = (jobId, part) => {
+  const job = jobStore.get(jobId);
+  if (!job) return;
+  job.partialTranscript = (job.partialTranscript || []).concat(part);
+  job.updatedAt = Date.now();
+  persistJob(jobId);
+  emitJobEvent(jobId, 'partial', part);
+};
+
+// Mark a job as finished successfully and store its result
+const completeJob = async (jobId, result) => {
+  const job = jobStore.get(jobId);
+  if (!job || job.complete) return;
+  updateProgress(jobId, 'complete', 100, 'Transcription complete!');
+  job.status = 'completed';
+  job.result = result;
+  delete job.partialTranscript; // Superseded by the merged transcript
+  job.complete = true;
+  emitJobEvent(jobId, 'complete', {});
+  await persistJob(jobId, true);
+
+  if (!isBatchJob(job)) {
+    await notifyJobCompleted(job);
+  }
+};
+
+// Mark a job as failed and record the error
+const failJob = async (jobId, message) => {
+  const job = jobStore.get(jobId);
+  if (!job || job.complete) return;
+  updateProgress(jobId, 'error', 100, message);
+  job.status = 'failed';
+  job.error = message;
+  job.complete = true;
+  emitJobEvent(jobId, 'error', { message });
+  await persistJob(jobId, true);
+
+  if (!isBatchJob(job)) {
+    await notifyJobFailed(job);
+  }
+};
+
+// Mark a job as cancelled by the user
+const cancelJobRecord = async (jobId) => {
+  const job = jobStore.get(jobId);
+  if (!job) return;
+  updateProgress(jobId, 'error', 100, 'Job cancelled');
+  job.status = 'cancelled';
+  job.error = 'Job cancelled';
+  job.complete = true;
+  emitJobEvent(jobId, 'error', { message: 'Job cancelled', cancelled: true });
+  await persistJob(jobId, true);
+};
+
+// Progress of every step, plus the queue position while the job waits
+const getProgressPayload = (job) => {
+  const queuePosition = jobQueue.indexOf(job.id);
+  return {
+    ...job.progress,
+    ...(queuePosition !== -1 ? { queue: { position: queuePosition + 1, length: jobQueue.length } } : {})
+  };
+};
+
+// Event state for a job, created on first use
+const getJobEvents = (jobId) => {
+  let entry = jobEvents.get(jobId);
+  if (!entry) {
+    entry = { emitter: new EventEmitter(), history: [], nextId: 1 };
+    entry.emitter.setMaxListeners(0);
+    jobEvents.set(jobId, entry);
+  }
+  return entry;
+};
+
+// Record a typed event (progress, partial, selection, error or complete) and push it to the job's open streams.
+// Once the job has finished its history is dropped; late reconnects get a snapshot instead.
+const emitJobEvent = (jobId, type, data) => {
+  const entry = getJobEvents(jobId);
+  const event = { id: entry.nextId++, type, data };
+  entry.history.push(event);
+  if (entry.history.length > JOB_EVENT_HISTORY_LIMIT) {
+    entry.history.shift();
+  }
+  entry.emitter.emit('event', event);
+  if (type === 'complete' || type === 'error') {
+    entry.history = [];
+  }
+};
+
+// Events after the given Last-Event-ID, or null when they can't be replayed
+// (no id, an id from another server process, or events already dropped from the history)
+const getEventsSince = (entry, lastEventId) => {
+  const [bootId, counter] = String(lastEventId || '').split(':');
+  const afterId = Number(counter);
+  if (bootId !== SERVER_BOOT_ID || !Number.isInteger(afterId) || afterId >= entry.nextId) {
+    return null;
+  }
+  if (afterId === entry.nextId - 1) {
+    return [];
+  }
+  if (entry.history.length === 0 || entry.history[0].id > afterId + 1) {
+    return null;
+  }
+  return entry.history.filter(event => event.id > afterId);
+};
+
+// The job's current state as events, for new connections and reconnects that can't be replayed
+const getSnapshotEvents = (job, entry) => {
+  const events = [{ type: 'progress', data: getProgressPayload(job) }];
+  (job.partialTranscript || []).forEach(part => events.push({ type: 'partial', data: part }));
+  if (job.status === 'awaiting_selection') {
+    events.push({ type: 'selection', data: job.selection });
+  }
+  if (job.status === 'completed') {
+    events.push({ type: 'complete', data: {} });
+  } else if (job.complete) {
+    events.push({ type: 'error', data: { message: job.error, ...(job.status === 'cancelled' ? { cancelled: true } : {}) } });
+  }
+  return events.map(event => ({ ...event, id: entry.nextId - 1 }));
+};
+
+// Tell waiting jobs their new place in the queue
+const announceQueuePositions = () => {
+  jobQueue.forEach((jobId, index) => {
+    emitJobEvent(jobId, 'progress', { queue: { position: index + 1, length: jobQueue.length } });
+  });
+};
+
+// Remove finished jobs older than the retention period, and fail jobs left waiting for a choice as long
+const pruneExpiredJobs = async () => {
+  const { remove, abandon } = findExpiredJobs([...jobStore.values()], JOB_RETENTION_HOURS * 60 * 60 * 1000);
+
+  for (const job of abandon) {
+    console.log(`[${job.id}] Failing job left awaiting selection`);
+    await failJob(job.id, getAbandonedJobMessage(job, JOB_RETENTION_HOURS));
+  }
+
+  for (const { id: jobId } of remove) {
+    jobStore.delete(jobId);
+    jobEvents.delete(jobId);
+    try {
+      await fs.unlink(path.join(JOBS_DIR, `${jobId}.json`));
+    } catch (error) {
+      console.error(`[${jobId}] Failed to remove expired job:`, error.message);
+    }
+  }
+};
+
+// Load persisted jobs on startup and return the ones interrupted by the last shutdown
+const loadJobs = async () => {
+  await fs.mkdir(JOBS_DIR, { recursive: true });
+  const files = await fs.readdir(JOBS_DIR);
+  const interrupted = [];
+
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const job = JSON.parse(await fs.readFile(path.join(JOBS_DIR, file), 'utf8'));
+      jobStore.set(job.id, job);
+      if (!job.complete && job.status !== 'awaiting_selection') {
+        interrupted.push(job);
+      }
+    } catch (error) {
+      console.error(`Skipping unreadable job file ${file}:`, error.message);
+    }
+  }
+
+  console.log(`Loaded ${jobStore.size} job(s) from ${JOBS_DIR}`);
+  return interrupted.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// Abort signal for a running job, passed to outgoing HTTP requests
+const getJobSignal = (jobId) => activeJobs.get(jobId)?.abortController.signal;
+
+// Check whether a running job has been cancelled
+const isJobCancelled = (jobId) => Boolean(activeJobs.get(jobId)?.cancelled);
+
+// Stop the pipeline between steps once its job has been cancelled
+const throwIfCancelled = (jobId) => {
+  if (isJobCancelled(jobId)) {
+    throw new Error('Job cancelled');
+  }
+};
+
+// Register a child process (ffmpeg) so cancelling the job can kill it
+const trackProcess = (jobId, processHandle) => {
+  const context = activeJobs.get(jobId);
+  if (context) {
+    context.processes.add(processHandle);
+  }
+};
+
+const untrackProcess = (jobId, processHandle) => {
+  const context = activeJobs.get(jobId);
+  if (context) {
+    context.processes.delete(processHandle);
   }
+};
+
+// Register a temp file so it is removed however the job ends
+const trackTempFile = (jobId, filepath) => {
+  const context = activeJobs.get(jobId);
+  if (context) {
+    context.tempFiles.add(filepath);
+  }
+};
+
+// Cache keys identifying an RSS item: its enclosure URL and GUID
+const getEpisodeCacheKeys = (item) => {
+  return [
+    item.enclosure?.url ? `enclosure:${item.enclosure.url}` : null,
+    item.guid ? `guid:${item.guid}` : null
+  ].filter(Boolean);
+};
+
+// Identify the summary settings a cached summary was produced with
+const getSummaryOptionsKey = ({ provider, style, template } = {}) => {
+  return JSON.stringify({
+    provider: provider || DEFAULT_SUMMARY_PROVIDER,
+    style: template ? 'custom' : (style || 'default'),
+    template: template || null
+  });
+};
+
+const isCacheEntryExpired = (entry) => {
+  return entry.createdAt < Date.now() - RESULT_CACHE_TTL_HOURS * 60 * 60 * 1000;
+};
 
+const persistCacheEntry = async (entry) => {
   try {
-    console.log(`Sending webhook: ${subject}`);
-    await axios.post(webhookUrl, {
-      subject,
-      body,
-      format: 'markdown'
-    });
-    console.log('Webhook sent successfully');
+    await writeJsonFile(path.join(CACHE_DIR, `${entry.id}.json`), entry);
+  } catch (error) {
+    console.error(`Failed to persist cache entry ${entry.id}:`, error.message);
+  }
+};
+
+const removeCacheEntry = async (entry) => {
+  resultCache.delete(entry.id);
+  entry.keys.forEach(key => {
+    if (resultCacheIndex.get(key) === entry.id) {
+      resultCacheIndex.delete(key);
+    }
+  });
+  await cleanupFile(path.join(CACHE_DIR, `${entry.id}.json`));
+};
+
+// Drop expired entries, then the least recently used ones until the cache is within its size limit
+const evictCacheEntries = async () => {
+  for (const entry of [...resultCache.values()]) {
+    if (isCacheEntryExpired(entry)) {
+      await removeCacheEntry(entry);
+    }
+  }
+
+  const byLastAccess = [...resultCache.values()].sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+  while (byLastAccess.length > RESULT_CACHE_MAX_ENTRIES) {
+    const entry = byLastAccess.shift();
+    console.log(`Evicting cached result for "${entry.result.episode.title}"`);
+    await removeCacheEntry(entry);
+  }
+};
+
+// Look up a cached result by any of the given keys
+const getCachedResult = (keys) => {
+  for (const key of keys) {
+    const entry = resultCache.get(resultCacheIndex.get(key));
+    if (!entry) continue;
+
+    if (isCacheEntryExpired(entry)) {
+      removeCacheEntry(entry);
+      continue;
+    }
+
+    entry.lastAccessedAt = Date.now();
+    persistCacheEntry(entry);
+    return entry;
+  }
+  return null;
+};
+
+// Store a finished result under all of its keys, merging with any entry already cached for the episode
+const storeCachedResult = async (keys, result, summaryOptionsKey) => {
+  const existingId = keys.map(key => resultCacheIndex.get(key)).find(Boolean);
+  const existing = existingId ? resultCache.get(existingId) : null;
+  const now = Date.now();
+
+  const entry = {
+    id: existing ? existing.id : crypto.createHash('sha1').update(keys[0]).digest('hex'),
+    keys: [...new Set([...(existing ? existing.keys : []), ...keys])],
+    result,
+    summaryOptionsKey,
+    createdAt: now,
+    lastAccessedAt: now
+  };
+
+  resultCache.set(entry.id, entry);
+  entry.keys.forEach(key => resultCacheIndex.set(key, entry.id));
+  await persistCacheEntry(entry);
+  await evictCacheEntries();
+};
+
+// Load cached results from disk on startup
+const loadResultCache = async () => {
+  await fs.mkdir(CACHE_DIR, { recursive: true });
+  const files = await fs.readdir(CACHE_DIR);
+
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const entry = JSON.parse(await fs.readFile(path.join(CACHE_DIR, file), 'utf8'));
+      resultCache.set(entry.id, entry);
+      entry.keys.forEach(key => resultCacheIndex.set(key, entry.id));
+    } catch (error) {
+      console.error(`Skipping unreadable cache file ${file}:`, error.message);
+    }
+  }
+
+  await evictCacheEntries();
+  console.log(`Loaded ${resultCache.size} cached result(s) from ${CACHE_DIR}`);
+};
+
+// Webhook endpoints: the one set by WEBHOOK_URL and those registered through the API, with the delivery log
+const webhooks = createWebhookNotifier({
+  endpointsDir: WEBHOOKS_DIR,
+  deliveriesDir: WEBHOOK_DELIVERIES_DIR,
+  envEndpoint: { url: process.env.WEBHOOK_URL, secret: process.env.WEBHOOK_SECRET },
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+  retryMaxMs: WEBHOOK_RETRY_MAX_MS,
+  deliveryLogLimit: WEBHOOK_DELIVERY_LOG_LIMIT
+});
+const notifyWebhooks = webhooks.notify;
+
+// Remember a parsed feed as the most recently used, dropping the least recently used beyond FEED_CACHE_MAX_ENTRIES
+const storeFeedCacheEntry = (rssUrl, entry) => {
+  feedCache.delete(rssUrl);
+  feedCache.set(rssUrl, entry);
+  while (feedCache.size > FEED_CACHE_MAX_ENTRIES) {
+    feedCache.delete(feedCache.keys().next().value);
+  }
+};
+
+// Request a feed (conditionally when an earlier copy is cached), then parse and cache it
+const downloadFeed = async (rssUrl, cached) => {
+  const headers = { 'User-Agent': 'rss-parser', Accept: 'application/rss+xml' };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await axios.get(rssUrl, {
+    headers,
+    responseType: 'text',
+    timeout: FEED_TIMEOUT_MS,
+    validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+  });
+
+  if (response.status === 304) {
+    console.log(`Feed not modified, using cached copy: ${rssUrl}`);
+    storeFeedCacheEntry(rssUrl, { ...cached, fetchedAt: Date.now() });
+    return cached.feed;
+  }
+
+  const feed = await rssParser.parseString(response.data);
+  storeFeedCacheEntry(rssUrl, {
+    feed,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    fetchedAt: Date.now()
+  });
+  return feed;
+};
+
+// Fetch and parse an RSS feed. A cached copy younger than FEED_CACHE_FRESH_MINUTES is used as is; an older
+// one is revalidated with ETag / Last-Modified, so an unchanged feed costs a 304 instead of a download.
+// `revalidate` skips the freshness window, for callers that need the latest items.
+const fetchFeed = async (rssUrl, { revalidate = false } = {}) => {
+  const cached = feedCache.get(rssUrl);
+  if (cached && !revalidate && Date.now() - cached.fetchedAt < FEED_CACHE_FRESH_MINUTES * 60 * 1000) {
+    storeFeedCacheEntry(rssUrl, cached);
+    return cached.feed;
+  }
+
+  // Jobs reading the same feed at the same time share one request
+  if (!pendingFeedFetches.has(rssUrl)) {
+    pendingFeedFetches.set(rssUrl, downloadFeed(rssUrl, cached).finally(() => {
+      pendingFeedFetches.delete(rssUrl);
+    }));
+  }
+  return pendingFeedFetches.get(rssUrl);
+};
+
+// Feed lookups are keyed by the show name, ignoring case and surrounding spaces
+const getFeedLookupKey = (podcastName) => podcastName.trim().toLowerCase();
+
+// Write the feed lookups to disk
+const persistFeedLookups = async () => {
+  await writeJsonFile(FEED_LOOKUPS_FILE, [...feedLookups.values()]);
+};
+
+// Load saved feed lookups on startup, skipping expired ones
+const loadFeedLookups = async () => {
+  try {
+    const lookups = JSON.parse(await fs.readFile(FEED_LOOKUPS_FILE, 'utf8'));
+    lookups
+      .filter(lookup => lookup.expiresAt > Date.now())
+      .forEach(lookup => feedLookups.set(lookup.key, lookup));
+    console.log(`Loaded ${feedLookups.size} feed lookup(s) from ${FEED_LOOKUPS_FILE}`);
   } catch (error) {
-    console.error('Failed to send webhook:', error.message);
+    if (error.code !== 'ENOENT') {
+      console.error('Skipping unreadable feed lookups file:', error.message);
+    }
   }
 };
 
@@ -108,7 +682,7 @@ const searchPodcastIndex = async (podcastName) => {
   }
 };
 
-// Fallback: Search Apple Podcasts and extract RSS feed
+// Fallback: Search Apple Podcasts for shows with an RSS feed
 const searchApplePodcasts = async (podcastName) => {
   try {
     console.log('Searching Apple Podcasts for:', podcastName);
@@ -118,62 +692,161 @@ const searchApplePodcasts = async (podcastName) => {
         term: podcastName,
         media: 'podcast',
         entity: 'podcast',
-        limit: 5
+        limit: 10
       }
     });
 
-    const results = searchResponse.data.results;
-    if (!results || results.length === 0) {
-      return null;
+    return (searchResponse.data.results || []).filter(podcast => podcast.feedUrl);
+  } catch (error) {
+    console.error('Apple Podcasts search error:', error.message);
+    return [];
+  }
+};
+
+// Compare feed URLs without scheme, trailing slash or case, since the directories list them differently
+const normaliseFeedUrl = (url) => url.replace(/^https?:\/\//i, '').replace(/\/+$/, '').toLowerCase();
+
+// Similarity of two names from 0 to 1, ignoring case and punctuation
+const compareNames = (a, b) => {
+  const normalise = (name) => (name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  const [first, second] = [normalise(a), normalise(b)];
+  if (!first || !second) return 0;
+  return first === second ? 1 : stringSimilarity.compareTwoStrings(first, second);
+};
+
+// Podcast Index and iTunes results as feed candidates, merged by feed URL
+const mergeFeedCandidates = (podcastIndexFeeds, appleResults) => {
+  const candidates = new Map();
+  const add = (source, candidate) => {
+    const key = normaliseFeedUrl(candidate.rssUrl);
+    const existing = candidates.get(key);
+    if (existing) {
+      existing.sources.push(source);
+      existing.author = existing.author || candidate.author;
+      existing.artwork = existing.artwork || candidate.artwork;
+      return;
     }
+    candidates.set(key, { ...candidate, sources: [source] });
+  };
 
-    // Find best match by name
-    let bestFeed = null;
-    let bestScore = 0;
+  podcastIndexFeeds.filter(feed => feed.url).forEach(feed => add('podcastindex', {
+    rssUrl: feed.url,
+    title: feed.title || null,
+    author: feed.author || feed.ownerName || null,
+    artwork: feed.artwork || feed.image || null
+  }));
+  appleResults.forEach(podcast => add('itunes', {
+    rssUrl: podcast.feedUrl,
+    title: podcast.collectionName || null,
+    author: podcast.artistName || null,
+    artwork: podcast.artworkUrl600 || podcast.artworkUrl100 || null
+  }));
+
+  return [...candidates.values()];
+};
 
-    results.forEach(podcast => {
-      const score = stringSimilarity.compareTwoStrings(
-        podcast.collectionName.toLowerCase(),
-        podcastName.toLowerCase()
-      );
+// How closely a feed's episode titles match the linked episode: the best title similarity, from 0 to 1
+const scoreEpisodeOverlap = (feed, episodeTitle) => {
+  return feed.items.reduce((best, item) => Math.max(best, compareNames(item.title, episodeTitle)), 0);
+};
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestFeed = podcast.feedUrl;
-      }
-    });
+// Score a candidate against what is known about the show. The title always counts; the author and
+// the episode overlap count when there is something to compare them with.
+const scoreFeedCandidate = (candidate, show) => {
+  const scores = { title: compareNames(candidate.title, show.name) };
+  if (show.publisher && candidate.author) {
+    scores.author = compareNames(candidate.author, show.publisher);
+  }
+  if (candidate.episodeOverlap !== undefined) {
+    scores.episode = candidate.episodeOverlap;
+  }
 
-    if (bestScore < 0.4) {
-      console.log(`No iTunes match found for "${podcastName}" (Best score: ${bestScore.toFixed(2)})`);
-      return null;
-    }
+  const weighted = Object.entries(scores).map(([part, score]) => [FEED_SCORE_WEIGHTS[part], score]);
+  const totalWeight = weighted.reduce((sum, [weight]) => sum + weight, 0);
+  const confidence = weighted.reduce((sum, [weight, score]) => sum + weight * score, 0) / totalWeight;
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    ...candidate,
+    scores: Object.fromEntries(Object.entries(scores).map(([part, score]) => [part, round(score)])),
+    confidence: round(confidence)
+  };
+};
 
-    console.log(`Found RSS feed via iTunes API: ${bestFeed} (Score: ${bestScore.toFixed(2)})`);
-    return bestFeed;
+// The candidate to use without asking, or null when the best one is doubtful. A runner-up close behind
+// only matters when nothing but the title backs the best one, as with generic show names.
+const pickConfidentFeed = (candidates) => {
+  const [best, runnerUp] = candidates;
+  if (!best || best.confidence < FEED_MIN_SCORE) return null;
 
-    return null;
-  } catch (error) {
-    console.error('Apple Podcasts search error:', error.message);
-    return null;
+  const corroborated = (best.scores.author ?? 0) >= FEED_CORROBORATION_SCORE || (best.scores.episode ?? 0) >= FEED_CORROBORATION_SCORE;
+  if (runnerUp && best.confidence - runnerUp.confidence < FEED_MIN_LEAD && !corroborated) return null;
+  return best;
+};
+
+// Search Podcast Index and iTunes for a show and rank the feeds they return, best first.
+// `show` is { name, publisher, episodeTitle }; the publisher and an episode title are optional.
+// When title and author don't settle it, the leading feeds are read to look for the episode.
+const rankFeedCandidates = async (show) => {
+  console.log('Attempting to find RSS feed for:', show.name);
+
+  const [podcastIndexFeeds, appleResults] = await Promise.all([
+    searchPodcastIndex(show.name),
+    searchApplePodcasts(show.name)
+  ]);
+  const byConfidence = (a, b) => b.confidence - a.confidence;
+  let candidates = mergeFeedCandidates(podcastIndexFeeds, appleResults)
+    .map(candidate => scoreFeedCandidate(candidate, show))
+    .sort(byConfidence)
+    .slice(0, FEED_CANDIDATE_COUNT);
+
+  if (show.episodeTitle && candidates.length > 0 && !pickConfidentFeed(candidates)) {
+    candidates = await Promise.all(candidates.map(async (candidate) => {
+      let episodeOverlap = 0; // A feed that can't be read is unlikely to be the one
+      try {
+        episodeOverlap = scoreEpisodeOverlap(await fetchFeed(candidate.rssUrl), show.episodeTitle);
+      } catch (error) {
+        console.error(`Could not read candidate feed ${candidate.rssUrl}:`, error.message);
+      }
+      return scoreFeedCandidate({ ...candidate, episodeOverlap }, show);
+    }));
+    candidates.sort(byConfidence);
   }
+
+  candidates.forEach(candidate => {
+    console.log(`  ${candidate.confidence.toFixed(2)} ${JSON.stringify(candidate.scores)} "${candidate.title}" ${candidate.rssUrl}`);
+  });
+  return candidates.map(({ episodeOverlap, ...candidate }) => candidate);
 };
 
-// Find RSS feed with multiple fallback methods
-const findRssFeed = async (podcastName) => {
-  console.log('Attempting to find RSS feed for:', podcastName);
+// Remember the feed found (or chosen) for a show name
+const rememberFeedLookup = async (podcastName, rssUrl) => {
+  const now = Date.now();
+  const key = getFeedLookupKey(podcastName);
+  feedLookups.set(key, { key, rssUrl, createdAt: now, expiresAt: now + FEED_LOOKUP_TTL_HOURS * 60 * 60 * 1000 });
+  await persistFeedLookups();
+};
 
-  const podcastIndexResults = await searchPodcastIndex(podcastName);
-  if (podcastIndexResults && podcastIndexResults.length > 0) {
-    console.log('Found via Podcast Index API');
-    return podcastIndexResults[0].url;
+// Find a show's RSS feed, reusing the feed found for the same show until it expires. Returns
+// { rssUrl, candidates }: rssUrl is null when nothing was found or the ranked candidates are too
+// close to call. Only confident results are remembered, since a directory error looks like no match.
+const findRssFeed = async (podcastName, { publisher, episodeTitle } = {}) => {
+  const cached = feedLookups.get(getFeedLookupKey(podcastName));
+  if (cached && cached.expiresAt > Date.now()) {
+    console.log(`Using cached RSS feed for "${podcastName}": ${cached.rssUrl}`);
+    return { rssUrl: cached.rssUrl, candidates: [] };
   }
 
-  const applePodcastsFeed = await searchApplePodcasts(podcastName);
-  if (applePodcastsFeed) {
-    return applePodcastsFeed;
+  const candidates = await rankFeedCandidates({ name: podcastName, publisher, episodeTitle });
+  const best = pickConfidentFeed(candidates);
+  if (!best) {
+    console.log(`No confident RSS feed for "${podcastName}" (${candidates.length} candidate(s))`);
+    return { rssUrl: null, candidates };
   }
 
-  return null;
+  console.log(`Found RSS feed via ${best.sources.join(' and ')}: ${best.rssUrl} (Confidence: ${best.confidence.toFixed(2)})`);
+  await rememberFeedLookup(podcastName, best.rssUrl);
+  return { rssUrl: best.rssUrl, candidates };
 };
 
 // Ensure temp directory exists
@@ -185,78 +858,237 @@ const initTempDir = async () => {
   }
 };
 
-// Extract Spotify episode ID from URL
-const extractEpisodeId = (url) => {
-  const match = url.match(/episode\/([a-zA-Z0-9]+)/);
-  if (!match) {
-    throw new Error('Invalid Spotify episode URL');
-  }
-  return match[1];
-};
+// Resolver for an episode link, or null when no supported app's links look like it
+const getEpisodeResolver = (url) => episodeResolvers.find(resolver => resolver.matches(url)) || null;
+
+// Identifier used to choose a feed item: its GUID, or the enclosure URL for feeds without GUIDs
+const getItemGuid = (item) => item.guid || item.enclosure?.url || null;
 
-// Convert HH:MM:SS or MM:SS to seconds
-const durationToSeconds = (durationStr) => {
-  if (!durationStr) return 0;
-  const parts = durationStr.toString().split(':').map(Number);
-  if (parts.length === 3) return parts[0] * 3600 + parts[1] * 60 + parts[2];
-  if (parts.length === 2) return parts[0] * 60 + parts[1];
-  return Number(durationStr) || 0;
+// Fields shown when listing feed episodes to choose from
+const describeFeedItem = (item) => ({
+  guid: getItemGuid(item),
+  title: item.title || 'Untitled episode',
+  published: item.isoDate || item.pubDate || null,
+  duration: item.itunes?.duration || null
+});
+
+// Download error that a resume or retry may get past
+const retryableDownloadError = (message) => Object.assign(new Error(message), { retryable: true });
+
+// Content types that are clearly not audio (error pages, feeds, JSON)
+const isNonAudioContentType = (contentType) => {
+  if (!contentType) return false;
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  return type.startsWith('text/') || /html|json|xml/.test(type);
 };
 
-// Calculate similarity score (0-1)
-const calculateMatchScore = (item, spotifyName, spotifyDurationMs) => {
-  // Title similarity (0-1)
-  const titleScore = stringSimilarity.compareTwoStrings(
-    item.title?.toLowerCase() || '',
-    spotifyName.toLowerCase()
-  );
+// Request the audio, following redirects one hop at a time so tracking prefixes (podtrac,
+// chartable...) show up in the logs. Each hop must send its headers within DOWNLOAD_CONNECT_TIMEOUT_MS,
+// and must be on a public address unless ALLOW_PRIVATE_AUDIO_HOSTS is set.
+// Returns the streaming response and the URL it finally came from.
+const openDownloadStream = async (audioUrl, jobId, rangeStart) => {
+  const redirects = [];
+  let currentUrl = audioUrl;
+
+  for (let hop = 0; hop <= MAX_DOWNLOAD_REDIRECTS; hop++) {
+    const connectController = new AbortController();
+    const connectTimer = setTimeout(() => connectController.abort(), DOWNLOAD_CONNECT_TIMEOUT_MS);
+    let response;
+
+    try {
+      if (!ALLOW_PRIVATE_AUDIO_HOSTS) {
+        await assertPublicUrl(currentUrl);
+      }
+      response = await axios({
+        method: 'GET',
+        url: currentUrl,
+        responseType: 'stream',
+        maxRedirects: 0,
+        validateStatus: () => true,
+        headers: rangeStart > 0 ? { Range: `bytes=${rangeStart}-` } : {},
+        lookup: ALLOW_PRIVATE_AUDIO_HOSTS ? undefined : lookupPublicAddress,
+        signal: AbortSignal.any([getJobSignal(jobId), connectController.signal].filter(Boolean))
+      });
+    } catch (error) {
+      throwIfCancelled(jobId);
+      if (error.code === 'ENONPUBLIC') {
+        throw new Error(`Audio URL not allowed: ${error.message}`);
+      }
+      if (connectController.signal.aborted) {
+        throw retryableDownloadError(`Audio host ${new URL(currentUrl).host} did not respond within ${DOWNLOAD_CONNECT_TIMEOUT_MS / 1000}s`);
+      }
+      if (isRetryableNetworkError(error)) {
+        throw retryableDownloadError(`Could not connect to audio host ${new URL(currentUrl).host} (${error.code})`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(connectTimer);
+    }
+
+    if (response.status >= 300 && response.status < 400 && response.headers.location) {
+      response.data.destroy();
+      currentUrl = new URL(response.headers.location, currentUrl).href;
+      redirects.push(currentUrl);
+      continue;
+    }
+
+    if (redirects.length > 0) {
+      console.log(`[${jobId}] Audio redirects: ${[audioUrl, ...redirects].map(url => new URL(url).host).join(' -> ')}`);
+      console.log(`[${jobId}] Final audio URL: ${currentUrl}`);
+    }
 
-  // Duration match (boost score if close)
-  let durationScore = 0;
-  if (spotifyDurationMs && item.itunes?.duration) {
-    const rssSeconds = durationToSeconds(item.itunes.duration);
-    const spotifySeconds = Math.round(spotifyDurationMs / 1000);
-    const diff = Math.abs(rssSeconds - spotifySeconds);
+    if (response.status >= 400) {
+      response.data.destroy();
+      const message = `Audio host ${new URL(currentUrl).host} returned HTTP ${response.status}`;
+      throw response.status === 429 || response.status >= 500 ? retryableDownloadError(message) : new Error(message);
+    }
 
-    // Exact match (+/- 10s) gives +0.3 boost
-    // Close match (+/- 60s) gives +0.1 boost
-    if (diff < 10) durationScore = 0.3;
-    else if (diff < 60) durationScore = 0.1;
+    return { response, url: currentUrl };
   }
 
-  return titleScore + durationScore;
+  throw new Error(`Audio URL redirected more than ${MAX_DOWNLOAD_REDIRECTS} times`);
+};
+
+// Write a response body to filepath (appending when resuming), enforcing the idle timeout and size cap
+const writeDownloadStream = (stream, filepath, offset, totalBytes, jobId) => {
+  return new Promise((resolve, reject) => {
+    const writer = require('fs').createWriteStream(filepath, { flags: offset > 0 ? 'a' : 'w' });
+    const maxBytes = MAX_DOWNLOAD_MB * 1024 * 1024;
+    let received = offset;
+    let lastReported = null;
+    let idleTimer;
+    let failed = false;
+
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        fail(retryableDownloadError(`Download stalled: no data for ${DOWNLOAD_IDLE_TIMEOUT_MS / 1000}s`));
+      }, DOWNLOAD_IDLE_TIMEOUT_MS);
+    };
+
+    // Only the first failure counts; destroying the stream can report it again as an abort
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      clearTimeout(idleTimer);
+      stream.destroy();
+      writer.destroy();
+      writer.once('close', () => {
+        reject(isRetryableNetworkError(error) ? retryableDownloadError(`Download interrupted (${error.code})`) : error);
+      });
+    };
+
+    stream.on('data', (chunk) => {
+      resetIdleTimer();
+      received += chunk.length;
+
+      if (received > maxBytes) {
+        fail(new Error(`Episode audio is larger than the ${MAX_DOWNLOAD_MB} MB download limit`));
+        return;
+      }
+
+      // Report whole percentages, or every 5 MB when the size is unknown
+      const report = totalBytes
+        ? Math.floor((received * 100) / totalBytes)
+        : Math.floor(received / (5 * 1024 * 1024));
+      if (report !== lastReported) {
+        lastReported = report;
+        const message = totalBytes
+          ? `Downloading audio... ${report}%`
+          : `Downloading audio... ${(received / (1024 * 1024)).toFixed(0)} MB`;
+        updateProgress(jobId, 'download', totalBytes ? report : 0, message);
+      }
+    });
+    stream.on('error', fail);
+    stream.on('aborted', () => fail(retryableDownloadError('Download interrupted: connection closed by the audio host')));
+    writer.on('error', fail);
+    writer.on('finish', () => {
+      clearTimeout(idleTimer);
+      if (totalBytes && received < totalBytes) {
+        reject(retryableDownloadError(`Download ended early at ${(received / (1024 * 1024)).toFixed(1)} of ${(totalBytes / (1024 * 1024)).toFixed(1)} MB`));
+        return;
+      }
+      resolve();
+    });
+
+    resetIdleTimer();
+    stream.pipe(writer);
+  });
+};
+
+// Check that a downloaded file is audio ffmpeg can read
+const validateDownloadedAudio = (filepath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filepath, (err, metadata) => {
+      if (err) {
+        return reject(new Error('Downloaded file is not a readable audio file'));
+      }
+      const hasAudio = (metadata.streams || []).some(stream => stream.codec_type === 'audio');
+      if (!hasAudio || !(metadata.format.duration > 0)) {
+        return reject(new Error('Downloaded file does not contain any audio'));
+      }
+      resolve();
+    });
+  });
 };
 
-// Download audio file to temp directory
+// Download audio file to temp directory. Interrupted downloads resume with an HTTP Range request
+// from the final (post-redirect) URL, up to DOWNLOAD_MAX_RESUMES times.
 const downloadAudio = async (audioUrl, episodeId, jobId) => {
   const filename = `${episodeId}_${Date.now()}.mp3`;
   const filepath = path.join(TEMP_DIR, filename);
+  trackTempFile(jobId, filepath);
 
   updateProgress(jobId, 'download', 0, 'Starting download...');
   console.log('Downloading audio from:', audioUrl);
 
-  const response = await axios({
-    method: 'GET',
-    url: audioUrl,
-    responseType: 'stream',
-    onDownloadProgress: (progressEvent) => {
-      if (progressEvent.total) {
-        const percentage = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-        updateProgress(jobId, 'download', percentage, `Downloading audio... ${percentage}%`);
+  let sourceUrl = audioUrl;
+  let offset = 0;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const { response, url } = await openDownloadStream(sourceUrl, jobId, offset);
+      sourceUrl = url;
+
+      if (offset > 0 && response.status !== 206) {
+        console.log(`[${jobId}] Audio host ignored the range request, restarting download`);
+        offset = 0;
       }
-    }
-  });
 
-  const writer = require('fs').createWriteStream(filepath);
-  response.data.pipe(writer);
+      if (isNonAudioContentType(response.headers['content-type'])) {
+        response.data.destroy();
+        throw new Error(`Audio URL returned ${response.headers['content-type'].split(';')[0]} instead of audio`);
+      }
 
-  return new Promise((resolve, reject) => {
-    writer.on('finish', () => {
-      updateProgress(jobId, 'download', 100, 'Download complete');
-      resolve(filepath);
-    });
-    writer.on('error', reject);
-  });
+      const contentLength = Number(response.headers['content-length']);
+      const totalBytes = contentLength > 0 ? offset + contentLength : null;
+      if (totalBytes && totalBytes > MAX_DOWNLOAD_MB * 1024 * 1024) {
+        response.data.destroy();
+        throw new Error(`Episode audio is ${(totalBytes / (1024 * 1024)).toFixed(0)} MB, over the ${MAX_DOWNLOAD_MB} MB download limit`);
+      }
+
+      await writeDownloadStream(response.data, filepath, offset, totalBytes, jobId);
+      break;
+    } catch (error) {
+      throwIfCancelled(jobId);
+      if (!error.retryable || attempt >= DOWNLOAD_MAX_RESUMES) {
+        throw error;
+      }
+
+      offset = await fs.stat(filepath).then(stats => stats.size).catch(() => 0);
+      const message = offset > 0
+        ? `${error.message}. Resuming from ${(offset / (1024 * 1024)).toFixed(1)} MB (retry ${attempt + 1}/${DOWNLOAD_MAX_RESUMES})...`
+        : `${error.message}. Retrying (${attempt + 1}/${DOWNLOAD_MAX_RESUMES})...`;
+      console.warn(`[${jobId}] ${message}`);
+      updateProgress(jobId, 'download', 0, message);
+      await sleep(2000 * (attempt + 1), getJobSignal(jobId));
+    }
+  }
+
+  updateProgress(jobId, 'download', 100, 'Checking downloaded audio...');
+  await validateDownloadedAudio(filepath);
+  updateProgress(jobId, 'download', 100, 'Download complete');
+  return filepath;
 };
 
 // Get file size in MB
@@ -275,41 +1107,132 @@ const getAudioDuration = (filepath) => {
   });
 };
 
-// Split audio into chunks using ffmpeg
-const splitAudioIntoChunks = async (inputPath, jobId) => {
-  const duration = await getAudioDuration(inputPath);
-  const chunks = [];
-  const numChunks = Math.ceil(duration / CHUNK_DURATION_SECONDS);
-
+// Find the silent stretches in a file with ffmpeg's silencedetect filter (returns [{ start, end }] in seconds)
+const detectSilences = (inputPath, jobId) => {
+  return new Promise((resolve, reject) => {
+    const silences = [];
+    let silenceStart = null;
+
+    const command = ffmpeg(inputPath)
+      .audioFilters(`silencedetect=noise=${SILENCE_NOISE_LEVEL}:d=${SILENCE_MIN_SECONDS}`)
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        const startMatch = line.match(/silence_start: (-?[\d.]+)/);
+        const endMatch = line.match(/silence_end: ([\d.]+)/);
+        if (startMatch) {
+          silenceStart = Math.max(0, Number(startMatch[1]));
+        } else if (endMatch && silenceStart !== null) {
+          silences.push({ start: silenceStart, end: Number(endMatch[1]) });
+          silenceStart = null;
+        }
+      })
+      .on('end', () => {
+        untrackProcess(jobId, command);
+        resolve(silences);
+      })
+      .on('error', (error) => {
+        untrackProcess(jobId, command);
+        reject(error);
+      });
+
+    trackProcess(jobId, command);
+    command.run();
+  });
+};
+
+// Choose where each chunk ends. Every cut goes in the middle of the silence nearest to the
+// target mark (within CHUNK_SILENCE_WINDOW_SECONDS either side) or, failing that, exactly on the mark.
+// Returns [{ time, atSilence, overlapSeconds }] for every boundary between chunks: the audio after a
+// cut that missed a silence repeats the last CHUNK_OVERLAP_SECONDS before it.
+const planChunkBoundaries = (duration, silences) => {
+  const boundaries = [];
+  let previous = 0;
+
+  while (duration - previous > CHUNK_DURATION_SECONDS) {
+    const target = previous + CHUNK_DURATION_SECONDS;
+    let best = null;
+
+    silences.forEach(silence => {
+      const middle = (silence.start + silence.end) / 2;
+      const distance = Math.abs(middle - target);
+      if (distance <= CHUNK_SILENCE_WINDOW_SECONDS && middle > previous && (!best || distance < best.distance)) {
+        best = { time: middle, distance };
+      }
+    });
+
+    const boundary = best
+      ? { time: best.time, atSilence: true, overlapSeconds: 0 }
+      : { time: target, atSilence: false, overlapSeconds: CHUNK_OVERLAP_SECONDS };
+    boundaries.push(boundary);
+    previous = boundary.time;
+  }
+
+  return boundaries;
+};
+
+// Split audio into chunks using ffmpeg. Chunks are cut in silences where possible; a chunk whose
+// start wasn't cut at a silence also repeats the last CHUNK_OVERLAP_SECONDS of the previous one.
+// Returns the chunks (each one's path, start and end offsets in seconds and overlap with the previous
+// chunk) and the boundaries they were cut at.
+const splitAudioIntoChunks = async (inputPath, jobId) => {
+  const duration = await getAudioDuration(inputPath);
+
+  updateProgress(jobId, 'splitting', 0, 'Looking for pauses to split at...');
+  let silences = [];
+  try {
+    silences = await detectSilences(inputPath, jobId);
+  } catch (error) {
+    throwIfCancelled(jobId);
+    console.error('Silence detection failed, using fixed chunk boundaries:', error.message);
+  }
+
+  const boundaries = planChunkBoundaries(duration, silences);
+  const numChunks = boundaries.length + 1;
+  console.log(`Chunk boundaries: ${boundaries.map(b => `${b.time.toFixed(1)}s${b.atSilence ? '' : ' (fixed)'}`).join(', ') || 'none'}`);
+
   updateProgress(jobId, 'splitting', 0, `Splitting into ${numChunks} chunks...`);
 
+  const chunks = [];
   for (let i = 0; i < numChunks; i++) {
-    const startTime = Math.max(0, i * CHUNK_DURATION_SECONDS - CHUNK_OVERLAP_SECONDS);
+    throwIfCancelled(jobId);
+
+    const previousBoundary = boundaries[i - 1];
+    const overlapSeconds = previousBoundary ? previousBoundary.overlapSeconds : 0;
+    const startTime = previousBoundary ? Math.max(0, previousBoundary.time - overlapSeconds) : 0;
+    const endTime = boundaries[i] ? boundaries[i].time : duration;
     const chunkPath = inputPath.replace('.mp3', `_chunk_${i}.mp3`);
+    trackTempFile(jobId, chunkPath);
 
     await new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
+      const command = ffmpeg(inputPath)
         .setStartTime(startTime)
-        .setDuration(CHUNK_DURATION_SECONDS + CHUNK_OVERLAP_SECONDS)
+        .setDuration(endTime - startTime)
         .output(chunkPath)
         .audioCodec('libmp3lame')
         .audioChannels(1)
         .audioFrequency(16000)
         .audioBitrate('64k')
         .on('end', () => {
+          untrackProcess(jobId, command);
           console.log(`Chunk ${i + 1}/${numChunks} created`);
-          chunks.push(chunkPath);
+          chunks.push({ path: chunkPath, startTime, endTime, overlapSeconds });
           const percentage = Math.round(((i + 1) / numChunks) * 100);
           updateProgress(jobId, 'splitting', percentage, `Created chunk ${i + 1}/${numChunks}`);
           resolve();
         })
-        .on('error', reject)
-        .run();
+        .on('error', (error) => {
+          untrackProcess(jobId, command);
+          reject(error);
+        });
+
+      trackProcess(jobId, command);
+      command.run();
     });
   }
 
   updateProgress(jobId, 'splitting', 100, 'Audio splitting complete');
-  return chunks;
+  return { chunks, boundaries };
 };
 
 // Clean up temporary file
@@ -318,45 +1241,21 @@ const cleanupFile = async (filepath) => {
     await fs.unlink(filepath);
     console.log('Cleaned up temp file:', filepath);
   } catch (error) {
-    console.error('Error cleaning up file:', error);
-  }
-};
-
-// Send summary to webhook
-const sendSummaryWebhook = async (summary, episodeTitle) => {
-  const webhookUrl = 'https://script.google.com/macros/s/AKfycbxsQj1Huobvpo_WCuUnKBtqWkJjzYNUUsPNYUCLOdGPlQ5Wrp4uVUqCDjDGbV1PdgifFg/exec';
-
-  try {
-    console.log('Sending summary to webhook...');
-    await axios.post(webhookUrl, {
-      subject: `Summary of ${episodeTitle || 'Podcast Episode'}`,
-      body: summary
-    });
-    console.log('Summary sent to webhook successfully');
-    return true;
-  } catch (error) {
-    console.error('Error sending webhook:', error.message);
-    return false;
-  }
-};
-
-// Summarise transcript with Gemini
-const summariseWithGemini = async (transcript, episodeTitle, jobId) => {
-  if (!GEMINI_API_KEY) {
-    console.warn('GEMINI_API_KEY is not set. Skipping Gemini summarisation.');
-    if (jobId) {
-      updateProgress(jobId, 'summary', 100, 'Summary skipped (Gemini API key not configured)');
+    if (error.code !== 'ENOENT') {
+      console.error('Error cleaning up file:', error);
     }
-    return null;
   }
+};
 
-  try {
-    updateProgress(jobId, 'summary', 0, 'Summarising transcript with Gemini...');
-
-    const prompt = [
+// Named summary styles. Each template uses {{title}} and {{transcript}} placeholders,
+// the same format accepted for user-defined templates.
+const SUMMARY_STYLES = {
+  default: {
+    label: 'Quick summary (TL;DR, topics, quotes, takeaways)',
+    template: [
       'You are an assistant that writes short, punchy summaries of podcast transcripts.',
       '',
-      episodeTitle ? `Episode title: ${episodeTitle}` : '',
+      'Episode title: {{title}}',
       '',
       'Task:',
       '- Summarise the episode clearly and engagingly for a busy listener.',
@@ -369,9 +1268,169 @@ const summariseWithGemini = async (transcript, episodeTitle, jobId) => {
       '- Keep the entire response under about 300 words.',
       '',
       'Transcript:',
-      transcript.length > 20000 ? transcript.slice(0, 20000) + '\n\n[Truncated transcript]' : transcript
-    ].join('\n');
+      '{{transcript}}'
+    ].join('\n')
+  },
+  'study-notes': {
+    label: 'Detailed study notes',
+    template: [
+      'You are an assistant that turns podcast transcripts into thorough study notes.',
+      '',
+      'Episode title: {{title}}',
+      '',
+      'Task:',
+      '- Write detailed notes that someone could revise from without listening to the episode.',
+      '- Use markdown: a ### heading for each major topic, in the order discussed, with "- " bullet points underneath.',
+      '- Explain key concepts and define any jargon the first time it appears.',
+      '- Include examples, figures and arguments given by the speakers.',
+      '- Finish with a ### Key Terms section and a ### Questions to Review section.',
+      '- Do NOT include a separate H1/H2 title.',
+      '- Aim for about 800–1200 words.',
+      '',
+      'Transcript:',
+      '{{transcript}}'
+    ].join('\n')
+  },
+  newsletter: {
+    label: 'Newsletter blurb (one paragraph)',
+    template: [
+      'You are an assistant that writes newsletter blurbs about podcast episodes.',
+      '',
+      'Episode title: {{title}}',
+      '',
+      'Task:',
+      '- Write a single engaging paragraph of about 80–120 words recommending this episode.',
+      '- Mention who is talking and the one or two most interesting ideas.',
+      '- No headings, no bullet points, no quotes longer than a short phrase.',
+      '',
+      'Transcript:',
+      '{{transcript}}'
+    ].join('\n')
+  },
+  'action-items': {
+    label: 'Meeting action items',
+    template: [
+      'You are an assistant that extracts action items from recorded meetings and discussions.',
+      '',
+      'Recording title: {{title}}',
+      '',
+      'Task:',
+      '- Use markdown formatting with the following sections, in this order:',
+      '  - ### Action Items (each "- [ ] task" with the owner and deadline in brackets when mentioned)',
+      '  - ### Decisions',
+      '  - ### Open Questions',
+      '- Only include items actually discussed; write "None" under a section with nothing to list.',
+      '- Do NOT include a separate H1/H2 title or any introduction.',
+      '',
+      'Transcript:',
+      '{{transcript}}'
+    ].join('\n')
+  }
+};
+
+const SUMMARY_TEMPLATE_MAX_LENGTH = 5000;
+
+// Check a user-defined summary template; returns an error message or null when it can be used
+const validateSummaryTemplate = (template) => {
+  if (typeof template !== 'string' || !template.trim()) {
+    return 'Summary template must be a non-empty string';
+  }
+  if (template.length > SUMMARY_TEMPLATE_MAX_LENGTH) {
+    return `Summary template must be under ${SUMMARY_TEMPLATE_MAX_LENGTH} characters`;
+  }
+  if (!template.includes('{{transcript}}')) {
+    return 'Summary template must include the {{transcript}} placeholder';
+  }
+  return null;
+};
 
+// Fill a summary template. For long episodes the source is the per-section notes
+// rather than the transcript itself.
+const buildSummaryPrompt = (template, source, episodeTitle, fromSectionNotes = false) => {
+  const content = fromSectionNotes
+    ? `(The episode was too long to include in full. These are notes on each part of it, in order; give each part fair weight.)\n\n${source}`
+    : source;
+
+  return template
+    .replace(/\{\{\s*title\s*\}\}/g, () => episodeTitle || 'Untitled episode')
+    .replace(/\{\{\s*transcript\s*\}\}/g, () => content);
+};
+
+// Prompt for the notes on one section of a long transcript
+const buildSectionPrompt = (section, index, total, episodeTitle) => {
+  return [
+    `You are taking notes on part ${index + 1} of ${total} of a podcast transcript.`,
+    '',
+    episodeTitle ? `Episode title: ${episodeTitle}` : '',
+    '',
+    'Task:',
+    '- Write concise markdown bullet points covering the main points discussed in this part.',
+    '- Include any memorable quotes word for word, any concrete advice or recommendations, and any decisions or action items.',
+    '- Do not add an introduction or conclusion; these notes will be combined with notes on the other parts.',
+    '- Keep the notes under about 250 words.',
+    '',
+    'Transcript section:',
+    section
+  ].join('\n');
+};
+
+// Split a transcript into sections of at most maxChars, breaking between sentences where possible
+const splitTranscriptIntoSections = (transcript, maxChars) => {
+  const sentences = transcript.trim().split(/(?<=[.!?])\s+/);
+  const sections = [];
+  let current = '';
+
+  const pushPiece = (piece) => {
+    if (current && current.length + piece.length + 1 > maxChars) {
+      sections.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${piece}` : piece;
+  };
+
+  sentences.forEach(sentence => {
+    if (sentence.length <= maxChars) {
+      pushPiece(sentence);
+      return;
+    }
+    // A run-on "sentence" longer than a section: fall back to word boundaries
+    let piece = '';
+    sentence.split(/\s+/).filter(Boolean).forEach(word => {
+      if (piece && piece.length + word.length + 1 > maxChars) {
+        pushPiece(piece);
+        piece = '';
+      }
+      piece = piece ? `${piece} ${word}` : word;
+    });
+    if (piece) pushPiece(piece);
+  });
+
+  if (current) {
+    sections.push(current);
+  }
+  return sections;
+};
+
+// Tidy a model response: trim it and unwrap a ```markdown fence some models add around the answer
+const parseSummaryResponse = (text) => {
+  if (!text || !text.trim()) return null;
+  const trimmed = text.trim();
+  const fenced = trimmed.match(/^```(?:markdown|md)?\s*\n([\s\S]*?)\n```$/);
+  return fenced ? fenced[1].trim() : trimmed;
+};
+
+// Summariser backends. Each one exposes the same interface:
+//   name, label, model
+//   missingConfig  - name of the env var that still needs setting, or null when ready
+//   generate(prompt, { signal }) -> raw response text
+
+// Google Gemini REST API
+const createGeminiSummariser = () => ({
+  name: 'gemini',
+  label: 'Gemini',
+  model: GEMINI_MODEL_ID,
+  missingConfig: GEMINI_API_KEY ? null : 'GEMINI_API_KEY',
+  generate: async (prompt, { signal }) => {
     const response = await axios.post(
       `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL_ID}:generateContent`,
       {
@@ -389,47 +1448,312 @@ const summariseWithGemini = async (transcript, episodeTitle, jobId) => {
       {
         params: {
           key: GEMINI_API_KEY
-        }
+        },
+        signal
       }
     );
 
     const candidates = response.data && response.data.candidates;
-    const summaryText = candidates && candidates[0] && candidates[0].content && candidates[0].content.parts
+    return candidates && candidates[0] && candidates[0].content && candidates[0].content.parts
       ? candidates[0].content.parts.map((p) => p.text || '').join('')
       : null;
+  }
+});
 
-    if (!summaryText) {
-      updateProgress(jobId, 'summary', 100, 'Summary skipped (no response from Gemini)');
-      return null;
+// Any OpenAI-compatible /chat/completions endpoint (OpenAI, Groq, OpenRouter, vLLM...)
+const createOpenAiSummariser = () => {
+  const baseUrl = process.env.SUMMARY_API_URL;
+  const model = process.env.SUMMARY_MODEL || 'gpt-4o-mini';
+
+  return {
+    name: 'openai',
+    label: 'OpenAI-compatible',
+    model,
+    missingConfig: baseUrl ? null : 'SUMMARY_API_URL',
+    generate: async (prompt, { signal }) => {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+        {
+          model,
+          messages: [{ role: 'user', content: prompt }]
+        },
+        {
+          headers: process.env.SUMMARY_API_KEY
+            ? { Authorization: `Bearer ${process.env.SUMMARY_API_KEY}` }
+            : {},
+          signal
+        }
+      );
+
+      const choices = response.data && response.data.choices;
+      return choices && choices[0] && choices[0].message ? choices[0].message.content : null;
+    }
+  };
+};
+
+// A local Ollama-style server (POST /api/chat)
+const createOllamaSummariser = () => {
+  const baseUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
+  const model = process.env.OLLAMA_MODEL || 'llama3.1';
+
+  return {
+    name: 'ollama',
+    label: 'Ollama',
+    model,
+    missingConfig: null,
+    generate: async (prompt, { signal }) => {
+      const response = await axios.post(
+        `${baseUrl.replace(/\/$/, '')}/api/chat`,
+        {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          stream: false
+        },
+        { signal }
+      );
+
+      return response.data && response.data.message ? response.data.message.content : null;
+    }
+  };
+};
+
+const summariserFactories = {
+  gemini: createGeminiSummariser,
+  openai: createOpenAiSummariser,
+  ollama: createOllamaSummariser
+};
+
+// Summarise a long transcript: notes per section, then one summary from the combined notes.
+// Sections that fail (or exceed SUMMARY_MAX_SECTIONS) are left out and reported in the coverage.
+const summariseInSections = async (summariser, template, transcript, episodeTitle, jobId) => {
+  const sections = splitTranscriptIntoSections(transcript, SUMMARY_SECTION_CHARS);
+  const sectionsToSummarise = sections.slice(0, SUMMARY_MAX_SECTIONS);
+  const notes = [];
+  let charactersSummarised = 0;
+
+  for (let i = 0; i < sectionsToSummarise.length; i++) {
+    throwIfCancelled(jobId);
+    const percentage = Math.round((i / (sectionsToSummarise.length + 1)) * 85);
+    updateProgress(jobId, 'summary', percentage, `Summarising section ${i + 1}/${sectionsToSummarise.length} with ${summariser.label}...`);
+
+    try {
+      const prompt = buildSectionPrompt(sectionsToSummarise[i], i, sectionsToSummarise.length, episodeTitle);
+      const sectionNotes = parseSummaryResponse(await summariser.generate(prompt, { signal: getJobSignal(jobId) }));
+      if (sectionNotes) {
+        notes.push(`#### Part ${i + 1} of ${sections.length}\n${sectionNotes}`);
+        charactersSummarised += sectionsToSummarise[i].length;
+      }
+    } catch (error) {
+      if (isJobCancelled(jobId)) throw error;
+      console.error(`[${jobId}] Failed to summarise section ${i + 1}:`, error.response?.data || error.message);
     }
+  }
+
+  const coverage = {
+    complete: notes.length === sections.length,
+    sections: sections.length,
+    sectionsSummarised: notes.length,
+    charactersSummarised,
+    totalCharacters: transcript.length
+  };
+
+  if (notes.length === 0) {
+    return { text: null, coverage };
+  }
+
+  updateProgress(jobId, 'summary', 85, `Combining ${notes.length} section summaries...`);
+  const prompt = buildSummaryPrompt(template, notes.join('\n\n'), episodeTitle, true);
+  const text = parseSummaryResponse(await summariser.generate(prompt, { signal: getJobSignal(jobId) }));
+  return { text, coverage };
+};
+
+// Summarise a transcript with the requested (or default) backend, in a named style or with a
+// user-defined template. Returns { text, provider, model, style, coverage }, or null when no
+// summary could be produced.
+const summariseTranscript = async (transcript, episodeTitle, jobId, options = {}) => {
+  const { provider: providerName = DEFAULT_SUMMARY_PROVIDER, style = 'default', template: customTemplate } = options;
+  const styleName = customTemplate ? 'custom' : style;
+  const template = customTemplate || SUMMARY_STYLES[Object.hasOwn(SUMMARY_STYLES, style) ? style : 'default'].template;
+
+  const factory = Object.hasOwn(summariserFactories, providerName) ? summariserFactories[providerName] : null;
+  if (!factory) {
+    console.warn(`Unknown summary provider "${providerName}". Skipping summarisation.`);
+    updateProgress(jobId, 'summary', 100, `Summary skipped (unknown provider "${providerName}")`);
+    return null;
+  }
+
+  const summariser = factory();
+  if (summariser.missingConfig) {
+    console.warn(`${summariser.missingConfig} is not set. Skipping ${summariser.label} summarisation.`);
+    updateProgress(jobId, 'summary', 100, `Summary skipped (${summariser.label} not configured)`);
+    return null;
+  }
 
-    // Send summary via webhook
-    updateProgress(jobId, 'summary', 90, 'Sending summary via email...');
+  try {
+    updateProgress(jobId, 'summary', 0, `Summarising transcript with ${summariser.label}...`);
+
+    let summaryText;
+    let coverage;
+    if (transcript.length <= SUMMARY_SECTION_CHARS) {
+      const prompt = buildSummaryPrompt(template, transcript, episodeTitle);
+      summaryText = parseSummaryResponse(await summariser.generate(prompt, { signal: getJobSignal(jobId) }));
+      coverage = { complete: true, sections: 1, sectionsSummarised: 1, charactersSummarised: transcript.length, totalCharacters: transcript.length };
+    } else {
+      ({ text: summaryText, coverage } = await summariseInSections(summariser, template, transcript, episodeTitle, jobId));
+    }
 
-    // Append transcript with a separator and blockquote for distinct styling
-    const webhookBody = `${summaryText.trim()}\n\n---\n\n### Full Transcript\n\n${transcript.split('\n').map(line => `> ${line}`).join('\n')}`;
+    if (!summaryText) {
+      updateProgress(jobId, 'summary', 100, `Summary skipped (no response from ${summariser.label})`);
+      return null;
+    }
 
-    await sendWebhook(`Summary: ${episodeTitle}`, webhookBody);
-    updateProgress(jobId, 'summary', 100, 'Summary sent to email');
+    // The summary goes out through the webhooks once the job completes
+    updateProgress(jobId, 'summary', 100, 'Summary ready');
 
     // Return summary to frontend as well
-    return summaryText.trim();
+    return {
+      text: summaryText,
+      provider: summariser.name,
+      model: summariser.model,
+      style: styleName,
+      coverage
+    };
   } catch (error) {
-    console.error('Gemini summarisation error:', error.response?.data || error.message || error);
-    updateProgress(jobId, 'summary', 100, 'Could not generate summary (Gemini error)');
-    // Try to send error email if summary fails
-    await sendWebhook(`Error Summarising: ${episodeTitle}`, `Failed to generate summary with Gemini.\n\nError: ${error.message}`);
+    if (isJobCancelled(jobId)) {
+      return null;
+    }
+    console.error(`${summariser.label} summarisation error:`, error.response?.data || error.message || error);
+    updateProgress(jobId, 'summary', 100, `Could not generate summary (${summariser.label} error)`);
+    // The job still completes with its transcript, so the failure is reported on its own
+    await notifyWebhooks('summary.failed', {
+      subject: `Error Summarising: ${episodeTitle}`,
+      body: `Failed to generate summary with ${summariser.label} (${summariser.model}).\n\nError: ${error.message}`,
+      data: { jobId, title: episodeTitle, provider: summariser.name, model: summariser.model, error: error.message }
+    });
     return null;
   }
 };
 
+// Format seconds as H:MM:SS or M:SS
+const formatTimestamp = (totalSeconds) => {
+  const seconds = Math.floor(totalSeconds);
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const sec = String(seconds % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+};
+
+// Condense segments into timestamped blocks ("[12:30] text...") covering the whole episode
+const buildChapterSource = (segments) => {
+  const blocks = [];
+  segments.forEach(segment => {
+    const block = blocks[blocks.length - 1];
+    if (block && segment.start - block.start < CHAPTER_BLOCK_SECONDS) {
+      block.text += ` ${segment.text}`;
+    } else {
+      blocks.push({ start: segment.start, text: segment.text });
+    }
+  });
+
+  const totalChars = blocks.reduce((sum, block) => sum + block.text.length, 0);
+  const maxBlockChars = totalChars > CHAPTER_INPUT_CHARS
+    ? Math.floor(CHAPTER_INPUT_CHARS / blocks.length)
+    : Infinity;
+
+  return blocks
+    .map(block => `[${formatTimestamp(block.start)}] ${block.text.slice(0, maxBlockChars)}`)
+    .join('\n');
+};
+
+// Pull the chapter list out of a model response and tidy it up
+const parseChaptersResponse = (text, episodeEnd) => {
+  if (!text) return [];
+  const jsonStart = text.indexOf('[');
+  const jsonEnd = text.lastIndexOf(']');
+  if (jsonStart === -1 || jsonEnd <= jsonStart) return [];
+
+  let items;
+  try {
+    items = JSON.parse(text.slice(jsonStart, jsonEnd + 1));
+  } catch (error) {
+    return [];
+  }
+  if (!Array.isArray(items)) return [];
+
+  const chapters = items
+    .map(item => ({
+      start: typeof item.start === 'number' ? item.start : durationToSeconds(item.start),
+      title: String(item.title || '').trim(),
+      description: String(item.description || '').trim()
+    }))
+    .filter(chapter => chapter.title && Number.isFinite(chapter.start) && chapter.start >= 0 && chapter.start < episodeEnd)
+    .sort((a, b) => a.start - b.start)
+    .filter((chapter, index, list) => index === 0 || chapter.start > list[index - 1].start);
+
+  if (chapters.length > 0) {
+    chapters[0].start = 0;
+  }
+  return chapters;
+};
+
+// Split the episode into titled chapters using the job's summariser.
+// Returns [{ start, title, description }] (empty when chapters can't be generated).
+const generateChapters = async (segments, episodeTitle, jobId, providerName = DEFAULT_SUMMARY_PROVIDER) => {
+  if (!segments || segments.length === 0) {
+    updateProgress(jobId, 'chapters', 100, 'Chapters skipped (no segment timings)');
+    return [];
+  }
+
+  const factory = Object.hasOwn(summariserFactories, providerName) ? summariserFactories[providerName] : null;
+  const summariser = factory ? factory() : null;
+  if (!summariser || summariser.missingConfig) {
+    updateProgress(jobId, 'chapters', 100, 'Chapters skipped (summariser not configured)');
+    return [];
+  }
+
+  try {
+    updateProgress(jobId, 'chapters', 0, `Generating chapters with ${summariser.label}...`);
+
+    const episodeEnd = segments[segments.length - 1].end;
+    const prompt = [
+      'You are an assistant that splits podcast episodes into chapters for navigation.',
+      '',
+      `Episode title: ${episodeTitle || 'Untitled episode'}`,
+      `Episode length: ${formatTimestamp(episodeEnd)}`,
+      '',
+      'Task:',
+      '- Split the episode into chapters where the topic changes, usually one every 5–15 minutes.',
+      '- Use the [timestamp] markers in the transcript for each chapter start; the first chapter starts at 0:00.',
+      '- Give each chapter a short title (under 8 words) and a one-line description.',
+      '- Respond with ONLY a JSON array, no other text, like:',
+      '  [{"start": "0:00", "title": "Introduction", "description": "The hosts introduce today\'s guest."}]',
+      '',
+      'Transcript:',
+      buildChapterSource(segments)
+    ].join('\n');
+
+    const response = await summariser.generate(prompt, { signal: getJobSignal(jobId) });
+    const chapters = parseChaptersResponse(response, episodeEnd);
+
+    updateProgress(jobId, 'chapters', 100, chapters.length > 0
+      ? `Generated ${chapters.length} chapters`
+      : 'Chapters skipped (could not read chapters from response)');
+    return chapters;
+  } catch (error) {
+    if (isJobCancelled(jobId)) throw error;
+    console.error(`[${jobId}] Chapter generation error:`, error.response?.data || error.message);
+    updateProgress(jobId, 'chapters', 100, `Could not generate chapters (${summariser.label} error)`);
+    return [];
+  }
+};
+
 // Compress audio file to reduce size
 const compressAudio = async (inputPath, jobId) => {
   const { exec } = require('child_process');
-  const util = require('util');
   const execPromise = util.promisify(exec);
 
   const outputPath = inputPath.replace('.mp3', '_compressed.mp3');
+  trackTempFile(jobId, outputPath);
 
   updateProgress(jobId, 'compress', 0, 'Compressing audio...');
   console.log('Compressing audio file...');
@@ -437,7 +1761,7 @@ const compressAudio = async (inputPath, jobId) => {
   const command = `ffmpeg -i "${inputPath}" -ac 1 -ar 16000 -b:a 64k -y "${outputPath}"`;
 
   try {
-    await execPromise(command);
+    await execPromise(command, { signal: getJobSignal(jobId) });
     updateProgress(jobId, 'compress', 100, 'Compression complete');
     console.log('Audio compressed successfully');
     return outputPath;
@@ -447,349 +1771,1886 @@ const compressAudio = async (inputPath, jobId) => {
   }
 };
 
-// Transcribe single file using Groq Whisper API
-const transcribeWithGroq = async (filepath, chunkIndex = null, totalChunks = null, jobId) => {
-  const chunkInfo = chunkIndex !== null ? ` (chunk ${chunkIndex + 1}/${totalChunks})` : '';
-  updateProgress(jobId, 'transcribe', 0, `Transcribing${chunkInfo}...`);
-  console.log(`Transcribing with Groq Whisper${chunkInfo}...`);
+// Transcription providers (see transcription.js for the interface they share)
 
-  const fileStream = require('fs').createReadStream(filepath);
+// A whisper.cpp-style binary run on the chunk file, e.g. `whisper-cli -m model.bin -f audio.wav -oj -of out`
+const createLocalWhisperProvider = () => {
+  const binaryPath = process.env.WHISPER_CLI_PATH || 'whisper-cli';
+  const modelPath = process.env.WHISPER_CLI_MODEL;
+  if (!modelPath) {
+    throw new Error('WHISPER_CLI_MODEL is required for the local transcription provider');
+  }
+  const execFilePromise = util.promisify(execFile);
 
-  const transcription = await groq.audio.transcriptions.create({
-    file: fileStream,
-    model: 'whisper-large-v3',
-    response_format: 'verbose_json',
-    language: 'en'
-  });
+  return {
+    name: 'local',
+    label: `local ${path.basename(binaryPath)} (${path.basename(modelPath)})`,
+    maxFileSizeMB: 100, // No upload limit; chunking still keeps progress updates flowing
+    requestsPerMinute: 0,
+    concurrency: 1, // One whisper process already uses every core
+    transcribe: async (filepath, { signal, jobId }) => {
+      // whisper.cpp reads 16 kHz mono WAV
+      const wavPath = filepath.replace(/\.mp3$/, '.wav');
+      const outputBase = filepath.replace(/\.mp3$/, '_whisper');
+      trackTempFile(jobId, wavPath);
+      trackTempFile(jobId, `${outputBase}.json`);
+
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg(filepath)
+          .audioChannels(1)
+          .audioFrequency(16000)
+          .format('wav')
+          .output(wavPath)
+          .on('end', () => {
+            untrackProcess(jobId, command);
+            resolve();
+          })
+          .on('error', (error) => {
+            untrackProcess(jobId, command);
+            reject(error);
+          });
+
+        trackProcess(jobId, command);
+        command.run();
+      });
+
+      try {
+        await execFilePromise(binaryPath, [
+          '-m', modelPath,
+          '-f', wavPath,
+          '-l', TRANSCRIPTION_LANGUAGE,
+          '-oj',
+          '-of', outputBase
+        ], { signal, maxBuffer: 64 * 1024 * 1024 });
+
+        const output = JSON.parse(await fs.readFile(`${outputBase}.json`, 'utf8'));
+        const segments = (output.transcription || []).map(item => ({
+          start: item.offsets.from / 1000,
+          end: item.offsets.to / 1000,
+          text: item.text
+        }));
+
+        return {
+          text: segments.map(segment => segment.text.trim()).join(' '),
+          segments
+        };
+      } finally {
+        await cleanupFile(wavPath);
+        await cleanupFile(`${outputBase}.json`);
+      }
+    }
+  };
+};
 
-  if (chunkIndex !== null) {
-    const percentage = Math.round(((chunkIndex + 1) / totalChunks) * 100);
-    updateProgress(jobId, 'transcribe', percentage, `Transcribed chunk ${chunkIndex + 1}/${totalChunks}`);
-  } else {
-    updateProgress(jobId, 'transcribe', 100, 'Transcription complete');
+const transcriptionProviderFactories = {
+  groq: () => createGroqProvider({
+    apiKey: process.env.GROQ_API_KEY,
+    model: process.env.GROQ_WHISPER_MODEL,
+    language: TRANSCRIPTION_LANGUAGE,
+    timeoutMs: TRANSCRIPTION_TIMEOUT_MS
+  }),
+  openai: () => createOpenAiCompatibleProvider({
+    baseUrl: process.env.TRANSCRIPTION_API_URL,
+    apiKey: process.env.TRANSCRIPTION_API_KEY,
+    model: process.env.TRANSCRIPTION_MODEL,
+    language: TRANSCRIPTION_LANGUAGE,
+    timeoutMs: TRANSCRIPTION_TIMEOUT_MS
+  }),
+  local: createLocalWhisperProvider
+};
+
+// Build the configured provider, applying TRANSCRIPTION_MAX_FILE_MB, TRANSCRIPTION_RPM and TRANSCRIPTION_CONCURRENCY if set
+const createTranscriptionProvider = (name) => {
+  const factory = transcriptionProviderFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown TRANSCRIPTION_PROVIDER "${name}". Use one of: ${Object.keys(transcriptionProviderFactories).join(', ')}`);
   }
 
+  const provider = factory();
+  const maxFileSizeOverride = Number(process.env.TRANSCRIPTION_MAX_FILE_MB);
+  if (maxFileSizeOverride > 0) {
+    provider.maxFileSizeMB = maxFileSizeOverride;
+  }
+  if (process.env.TRANSCRIPTION_RPM !== undefined && Number(process.env.TRANSCRIPTION_RPM) >= 0) {
+    provider.requestsPerMinute = Number(process.env.TRANSCRIPTION_RPM);
+  }
+  const concurrencyOverride = Number(process.env.TRANSCRIPTION_CONCURRENCY);
+  if (concurrencyOverride > 0) {
+    provider.concurrency = concurrencyOverride;
+  }
+  return provider;
+};
+
+const transcriptionProvider = createTranscriptionProvider(process.env.TRANSCRIPTION_PROVIDER || 'groq');
+
+const transcriptionBudget = createRequestBudget(transcriptionProvider.requestsPerMinute);
+
+// Send one file to the provider within the budget, retrying transient failures. Stops when the job
+// is cancelled or the given signal aborts.
+const transcribeWithProviderRetries = (filepath, jobId, description, signal = getJobSignal(jobId)) => {
+  throwIfCancelled(jobId);
+  return transcribeWithRetries(transcriptionProvider, transcriptionBudget, filepath, {
+    signal,
+    jobId,
+    description,
+    retries: {
+      maxRetries: TRANSCRIPTION_MAX_RETRIES,
+      retryBaseMs: TRANSCRIPTION_RETRY_BASE_MS,
+      retryMaxMs: TRANSCRIPTION_RETRY_MAX_MS
+    }
+  });
+};
+
+// Transcribe single file with the configured provider
+const transcribeFile = async (filepath, jobId) => {
+  throwIfCancelled(jobId);
+
+  updateProgress(jobId, 'transcribe', 0, 'Transcribing...');
+  console.log(`Transcribing with ${transcriptionProvider.label}...`);
+
+  const transcription = await transcribeWithProviderRetries(filepath, jobId, 'audio');
+  addPartialTranscript(jobId, { index: 0, chunks: 1, text: transcription.text, segments: normaliseSegments(transcription) });
+  updateProgress(jobId, 'transcribe', 100, 'Transcription complete');
+
   return transcription;
 };
 
-// Merge transcriptions with overlap handling
-const mergeTranscriptions = (transcriptions) => {
-  if (transcriptions.length === 1) {
-    return transcriptions[0].text;
-  }
+// Live preview of one chunk on the episode timeline. Audio repeated from the previous chunk is
+// skipped; the exact overlap is only resolved when all chunks are merged.
+const getChunkPreview = (transcription, chunk, index, chunkCount) => {
+  const boundary = chunk.startTime + chunk.overlapSeconds;
+  const segments = normaliseSegments(transcription, chunk.startTime).filter(segment => segment.start >= boundary);
+  return {
+    index,
+    chunks: chunkCount,
+    text: segments.length > 0 || (transcription.segments || []).length > 0
+      ? segments.map(segment => segment.text).join(' ')
+      : transcription.text,
+    segments
+  };
+};
 
-  let mergedText = '';
-  const overlapWords = Math.ceil(CHUNK_OVERLAP_SECONDS * 2); // Approximate words in overlap
+// Transcribe chunks a few at a time and merge the results in order. The first failure aborts the
+// chunks still in flight, so they stop drawing on the budget before the job's files are removed.
+const transcribeChunks = async (chunks, jobId) => {
+  const transcriptions = new Array(chunks.length);
+  const concurrency = Math.min(transcriptionProvider.concurrency, chunks.length);
+  const chunksController = new AbortController();
+  const signal = AbortSignal.any([getJobSignal(jobId), chunksController.signal].filter(Boolean));
+  let nextIndex = 0;
+  let completed = 0;
+  let firstError = null;
+
+  console.log(`Transcribing ${chunks.length} chunks with ${transcriptionProvider.label} (${concurrency} at a time)...`);
+  updateProgress(jobId, 'transcribe', 0, `Transcribing ${chunks.length} chunks...`);
+
+  const worker = async () => {
+    while (!signal.aborted && nextIndex < chunks.length) {
+      const index = nextIndex++;
+      try {
+        transcriptions[index] = await transcribeWithProviderRetries(chunks[index].path, jobId, `chunk ${index + 1}/${chunks.length}`, signal);
+      } catch (error) {
+        if (!firstError) {
+          firstError = error;
+          chunksController.abort();
+        }
+        return;
+      }
 
-  for (let i = 0; i < transcriptions.length; i++) {
-    const text = transcriptions[i].text;
+      // Clean up chunk file
+      await cleanupFile(chunks[index].path);
+      if (signal.aborted) return;
 
-    if (i === 0) {
-      // First chunk: use all text
-      mergedText = text;
-    } else {
-      // Remove overlap from start of current chunk
-      const words = text.split(' ');
-      const textWithoutOverlap = words.slice(overlapWords).join(' ');
-      mergedText += ' ' + textWithoutOverlap;
+      addPartialTranscript(jobId, getChunkPreview(transcriptions[index], chunks[index], index, chunks.length));
+      completed++;
+      const percentage = Math.round((completed / chunks.length) * 100);
+      updateProgress(jobId, 'transcribe', percentage, `Transcribed ${completed}/${chunks.length} chunks`);
     }
-  }
+  };
+
+  // Wait for every worker to stop before reporting the failure
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  if (firstError) throw firstError;
+  throwIfCancelled(jobId);
 
-  return mergedText.trim();
+  // Merge transcriptions
+  updateProgress(jobId, 'merge', 0, 'Merging transcriptions...');
+  const merged = mergeTranscriptions(transcriptions, chunks);
+  updateProgress(jobId, 'merge', 100, 'Merge complete');
+
+  return merged;
 };
 
-// Main transcription logic with chunking support
+// Main transcription logic with chunking support. Returns { text, segments, chunkBoundaries }, where
+// chunkBoundaries lists the cuts between chunks (empty when the file was transcribed whole).
 const processTranscription = async (audioPath, jobId) => {
   const fileSizeMB = await getFileSizeMB(audioPath);
   console.log(`Audio file size: ${fileSizeMB.toFixed(2)} MB`);
 
   // Check if file needs to be chunked
-  if (fileSizeMB > MAX_FILE_SIZE_MB) {
-    console.log(`File exceeds ${MAX_FILE_SIZE_MB}MB limit, splitting into chunks...`);
-
-    // Split into chunks
-    const chunks = await splitAudioIntoChunks(audioPath, jobId);
-
-    // Transcribe each chunk
-    const transcriptions = [];
-    for (let i = 0; i < chunks.length; i++) {
-      const transcription = await transcribeWithGroq(chunks[i], i, chunks.length, jobId);
-      transcriptions.push(transcription);
-
-      // Clean up chunk file
-      await cleanupFile(chunks[i]);
-    }
+  if (fileSizeMB > transcriptionProvider.maxFileSizeMB) {
+    console.log(`File exceeds ${transcriptionProvider.maxFileSizeMB}MB limit, splitting into chunks...`);
 
-    // Merge transcriptions
-    updateProgress(jobId, 'merge', 0, 'Merging transcriptions...');
-    const mergedText = mergeTranscriptions(transcriptions);
-    updateProgress(jobId, 'merge', 100, 'Merge complete');
-
-    return mergedText;
+    // Split into chunks, then transcribe and merge them
+    const { chunks, boundaries } = await splitAudioIntoChunks(audioPath, jobId);
+    const merged = await transcribeChunks(chunks, jobId);
+    return { ...merged, chunkBoundaries: boundaries };
   } else {
     // File is small enough, compress and transcribe directly
     const compressedPath = await compressAudio(audioPath, jobId);
     const finalSizeMB = await getFileSizeMB(compressedPath);
 
-    if (finalSizeMB > MAX_FILE_SIZE_MB) {
+    if (finalSizeMB > transcriptionProvider.maxFileSizeMB) {
       // Even after compression, still too large - chunk it
-      const chunks = await splitAudioIntoChunks(compressedPath, jobId);
-      const transcriptions = [];
-
-      for (let i = 0; i < chunks.length; i++) {
-        const transcription = await transcribeWithGroq(chunks[i], i, chunks.length, jobId);
-        transcriptions.push(transcription);
-        await cleanupFile(chunks[i]);
-      }
-
-      updateProgress(jobId, 'merge', 0, 'Merging transcriptions...');
-      const mergedText = mergeTranscriptions(transcriptions);
-      updateProgress(jobId, 'merge', 100, 'Merge complete');
+      const { chunks, boundaries } = await splitAudioIntoChunks(compressedPath, jobId);
+      const merged = await transcribeChunks(chunks, jobId);
 
       if (compressedPath !== audioPath) {
         await cleanupFile(compressedPath);
       }
 
-      return mergedText;
+      return { ...merged, chunkBoundaries: boundaries };
     }
 
     // Transcribe single file
-    const transcription = await transcribeWithGroq(compressedPath, null, null, jobId);
+    const transcription = await transcribeFile(compressedPath, jobId);
 
     if (compressedPath !== audioPath) {
       await cleanupFile(compressedPath);
     }
 
-    return transcription.text;
+    return {
+      text: transcription.text,
+      segments: normaliseSegments(transcription),
+      chunkBoundaries: []
+    };
   }
 };
 
-// SSE endpoint for progress updates
+// SSE endpoint for progress updates. Sends typed events (progress, partial, error, complete) as they
+// happen. A reconnect with Last-Event-ID (header, or ?lastEventId=) replays what was missed; otherwise
+// the stream starts with a snapshot of the job's current state.
 app.get('/api/progress/:jobId', (req, res) => {
   const { jobId } = req.params;
+  const job = jobStore.get(jobId);
 
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
 
-  // Send initial connection
-  res.write('data: {"status": "connected"}\n\n');
-
-  // Send progress updates every second
-  const interval = setInterval(() => {
-    const progress = progressStore.get(jobId);
-    if (progress) {
-      res.write(`data: ${JSON.stringify(progress)}\n\n`);
-
-      // Check if completed
-      if (progress.complete) {
-        clearInterval(interval);
-        res.end();
-      }
-    }
-  }, 500);
+  const writeEvent = ({ id, type, data }) => {
+    res.write(`id: ${SERVER_BOOT_ID}:${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-  // Clean up on client disconnect
-  req.on('close', () => {
-    clearInterval(interval);
+  if (!job) {
+    writeEvent({ id: 0, type: 'error', data: { message: 'Job not found' } });
     res.end();
-  });
-});
+    return;
+  }
 
-// Main endpoint to get transcript
-app.post('/api/transcript', async (req, res) => {
-  const jobId = crypto.randomBytes(16).toString('hex');
-  let tempFilePath = null;
+  const entry = getJobEvents(jobId);
+  const missed = getEventsSince(entry, req.get('Last-Event-ID') || req.query.lastEventId);
+  (missed || getSnapshotEvents(job, entry)).forEach(writeEvent);
 
-  try {
-    const { spotifyUrl, rssUrl: providedRssUrl } = req.body;
+  if (job.complete) {
+    res.end();
+    return;
+  }
 
-    if (!spotifyUrl) {
-      return res.status(400).json({ error: 'Spotify URL is required' });
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    entry.emitter.off('event', onEvent);
+    res.end();
+  };
+  const onEvent = (event) => {
+    writeEvent(event);
+    if (event.type === 'complete' || event.type === 'error') {
+      close();
     }
+  };
 
-    // Send immediate response with jobId
-    res.json({ jobId, message: 'Transcription started. Use /api/progress/:jobId to track progress.' });
+  entry.emitter.on('event', onEvent);
+  req.on('close', close);
+});
 
-    console.log(`[${jobId}] Processing URL:`, spotifyUrl);
+// Step 3 once the episode has been chosen: find the feed item with that GUID.
+// Fails the job and returns null when it's gone or has no audio.
+const pickFeedEpisode = async (jobId, feed, episodeGuid) => {
+  const item = feed.items.find(candidate => getItemGuid(candidate) === episodeGuid);
 
-    // Step 1: Extract episode metadata from Spotify
-    updateProgress(jobId, 'metadata', 0, 'Fetching Spotify metadata...');
-    const spotifyData = await spotifyUrlInfo.getData(spotifyUrl);
+  if (!item) {
+    await failJob(jobId, 'The chosen episode is no longer in the RSS feed');
+    return null;
+  }
 
-    if (!spotifyData) {
-      updateProgress(jobId, 'error', 100, 'Could not fetch episode data from Spotify');
-      progressStore.get(jobId).complete = true;
-      return;
-    }
+  if (!item.enclosure?.url) {
+    await failJob(jobId, 'No audio URL found for this episode');
+    return null;
+  }
 
-    updateProgress(jobId, 'metadata', 100, 'Metadata fetched');
-    console.log(`[${jobId}] Episode found:`, spotifyData.name);
+  console.log(`[${jobId}] Using chosen episode: "${item.title}"`);
+  updateProgress(jobId, 'parse', 100, 'RSS parsed successfully');
+  return item;
+};
 
-    let rssUrl = providedRssUrl;
+// Pause a job until the user picks the episode from the best candidates (POST /api/jobs/:jobId/selection).
+// The job gives up its worker slot while it waits.
+const awaitEpisodeSelection = async (jobId, rssUrl, candidates) => {
+  const job = jobStore.get(jobId);
+  job.status = 'awaiting_selection';
+  job.selection = {
+    type: 'episode',
+    rssUrl,
+    candidates: candidates.slice(0, MATCH_CANDIDATE_COUNT).map(({ item, score }) => ({
+      ...describeFeedItem(item),
+      score: Math.round(score.total * 100) / 100
+    }))
+  };
+  updateProgress(jobId, 'parse', 50, 'No confident match. Please choose the episode.');
+  emitJobEvent(jobId, 'selection', job.selection);
+  await persistJob(jobId, true);
+};
 
-    // Step 2: Find RSS feed
-    if (!rssUrl) {
-      updateProgress(jobId, 'rss', 0, 'Finding RSS feed...');
-      rssUrl = await findRssFeed(spotifyData.subtitle);
+// Pause a job until the user picks the show's feed from the ranked candidates (POST /api/jobs/:jobId/selection
+// with rssUrl). Like an episode selection, the job gives up its worker slot while it waits.
+const awaitFeedSelection = async (jobId, podcastName, candidates) => {
+  const job = jobStore.get(jobId);
+  job.status = 'awaiting_selection';
+  job.selection = { type: 'feed', podcast: podcastName, candidates };
+  updateProgress(jobId, 'rss', 50, 'Several feeds could be this show. Please choose one.');
+  emitJobEvent(jobId, 'selection', job.selection);
+  await persistJob(jobId, true);
+};
 
-      if (!rssUrl) {
-        const errorMsg = `Unable to find RSS feed for "${spotifyData.subtitle}". This podcast may not be available in Apple Podcasts or Podcast Index directories.`;
-        updateProgress(jobId, 'error', 100, errorMsg);
-        progressStore.get(jobId).complete = true;
-
-        // Send error notification via webhook
-        await sendWebhook(
-          `Error: Podcast Not Found - ${spotifyData.name}`,
-          `Could not locate RSS feed for podcast: "${spotifyData.subtitle}"\n\nThis podcast may not be publicly available in podcast directories (Apple Podcasts, Podcast Index).\n\nEpisode: ${spotifyData.name}\nSpotify URL: ${spotifyUrl}`
-        );
-        return;
-      }
-      updateProgress(jobId, 'rss', 100, 'RSS feed found');
-    } else {
-      updateProgress(jobId, 'rss', 100, 'Using provided RSS feed');
-    }
+// Compare audio URLs without scheme, query or tracking prefixes, which feeds and apps add differently:
+// dts.podtrac.com/redirect.mp3/traffic.libsyn.com/show/ep.mp3 matches traffic.libsyn.com/show/ep.mp3
+const isSameAudioUrl = (a, b) => {
+  const normalise = (url) => url.replace(/^https?:\/\//i, '').split(/[?#]/)[0].toLowerCase();
+  const [first, second] = [normalise(a), normalise(b)];
+  return first === second || first.endsWith(`/${second}`) || second.endsWith(`/${first}`);
+};
 
-    // Step 3: Parse RSS feed
-    updateProgress(jobId, 'parse', 0, 'Parsing RSS feed...');
-    const feed = await rssParser.parseURL(rssUrl);
+// Feed item the link's app identified directly, by GUID or by audio URL
+const findLinkedFeedItem = (items, linked) => {
+  if (linked.guid) {
+    const item = items.find(candidate => candidate.guid === linked.guid);
+    if (item) return { item, matchedBy: 'GUID' };
+  }
+  if (linked.audioUrl) {
+    const item = items.find(candidate => candidate.enclosure?.url && isSameAudioUrl(candidate.enclosure.url, linked.audioUrl));
+    if (item) return { item, matchedBy: 'audio URL' };
+  }
+  return null;
+};
+
+// Step 1 for an episode link: ask the link's resolver what it points at
+const lookUpEpisodeLink = async (jobId, episodeUrl) => {
+  const resolver = getEpisodeResolver(episodeUrl);
+  updateProgress(jobId, 'metadata', 0, `Fetching episode details from ${resolver.label}...`);
+  const linked = await resolver.resolve(episodeUrl, { signal: getJobSignal(jobId) });
+
+  if (!linked?.title) {
+    await failJob(jobId, `Could not fetch episode data from ${resolver.label}`);
+    return null;
+  }
+
+  jobStore.get(jobId).title = linked.title;
+  updateProgress(jobId, 'metadata', 100, 'Metadata fetched');
+  console.log(`[${jobId}] Episode found on ${resolver.label}:`, linked.title);
+  return linked;
+};
+
+// Steps 1-3: find the RSS item for the job's episode. A link (Spotify, Apple Podcasts, Overcast,
+// Pocket Casts) is looked up with its resolver, the feed discovered when the link doesn't give it,
+// and the item picked by GUID, audio URL or match score. An RSS URL and GUID skip straight to the item.
+// Fails the job, or pauses it for the user to choose when no match is confident, and returns null.
+const resolveEpisode = async (jobId, episodeUrl, providedRssUrl, episodeGuid) => {
+  // Step 1: Extract episode metadata from the link
+  let linked = null;
+  if (episodeUrl) {
+    linked = await lookUpEpisodeLink(jobId, episodeUrl);
+    if (!linked) return null;
+  } else {
+    updateProgress(jobId, 'metadata', 100, 'Episode chosen from RSS feed');
+  }
+
+  let rssUrl = providedRssUrl || linked?.rssUrl;
+
+  // Step 2: Find RSS feed
+  if (providedRssUrl) {
+    updateProgress(jobId, 'rss', 100, 'Using provided RSS feed');
+  } else if (rssUrl) {
+    updateProgress(jobId, 'rss', 100, 'RSS feed found from episode link');
+  } else {
+    updateProgress(jobId, 'rss', 0, 'Finding RSS feed...');
+    const discovery = linked.podcast
+      ? await findRssFeed(linked.podcast, { publisher: linked.publisher, episodeTitle: linked.title })
+      : { rssUrl: null, candidates: [] };
+    rssUrl = discovery.rssUrl;
+
+    // The audio linked from the episode page is enough to go on without the feed
+    if (!rssUrl && linked.audioUrl) {
+      console.log(`[${jobId}] No RSS feed found, using the audio linked from the episode page`);
+      updateProgress(jobId, 'rss', 100, 'No RSS feed found, using the episode page\'s audio');
+      updateProgress(jobId, 'parse', 100, 'Not needed');
+      return {
+        linked,
+        item: { title: linked.title, pubDate: linked.releaseDate || null, enclosure: { url: linked.audioUrl } }
+      };
+    }
+
+    // Let the user choose when several feeds could be the show
+    if (!rssUrl && discovery.candidates.length > 0) {
+      await awaitFeedSelection(jobId, linked.podcast, discovery.candidates);
+      return null;
+    }
+
+    if (!rssUrl) {
+      const podcastName = linked.podcast || 'this podcast';
+      const errorMsg = `Unable to find RSS feed for "${podcastName}". This podcast may not be available in Apple Podcasts or Podcast Index directories.`;
+      await failJob(jobId, errorMsg);
+      return null;
+    }
+    updateProgress(jobId, 'rss', 100, 'RSS feed found');
+  }
+
+  // Step 3: Parse RSS feed
+  throwIfCancelled(jobId);
+  updateProgress(jobId, 'parse', 0, 'Parsing RSS feed...');
+  const feed = await fetchFeed(rssUrl);
+
+  if (episodeGuid) {
+    const item = await pickFeedEpisode(jobId, feed, episodeGuid);
+    return item ? { linked, item } : null;
+  }
+
+  const linkedItem = findLinkedFeedItem(feed.items, linked);
+  if (linkedItem?.item.enclosure?.url) {
+    console.log(`[${jobId}] Matched "${linkedItem.item.title}" by ${linkedItem.matchedBy}`);
+    updateProgress(jobId, 'parse', 100, 'RSS parsed successfully');
+    return { linked, item: linkedItem.item };
+  }
+
+  const episodeName = linked.title;
+  const linkedEpisode = {
+    name: episodeName,
+    durationMs: linked.durationMs,
+    releaseDate: linked.releaseDate
+  };
+
+  console.log(`Searching for episode: "${episodeName}" in ${feed.items.length} items...`);
+
+  const candidates = rankFeedItems(feed.items, linkedEpisode);
+
+  candidates.slice(0, 3).forEach(({ item, score }) => {
+    console.log(`  ${formatMatchScore(score)} "${item.title}"`);
+  });
+
+  const bestMatch = candidates[0]?.item || null;
+  const bestScore = candidates[0]?.score.total || 0;
+
+  if (!bestMatch) {
+    console.log('Episode matching failed: No episodes found in RSS feed');
+    await failJob(jobId, `Could not find matching episode in RSS feed (${rssUrl} has no episodes)`);
+    return null;
+  }
+
+  // Let the user choose when even the best match is doubtful
+  if (bestScore < MATCH_MIN_SCORE) {
+    console.log(`Episode match quality too low (${bestScore.toFixed(2)}). Best match: "${bestMatch.title}" vs expected: "${episodeName}"`);
+    await awaitEpisodeSelection(jobId, rssUrl, candidates);
+    return null;
+  }
+
+  console.log(`Best match found: "${bestMatch.title}" (Score: ${formatMatchScore(candidates[0].score)})`);
+
+  if (!bestMatch.enclosure?.url) {
+    await failJob(jobId, 'No audio URL found for this episode');
+    return null;
+  }
+
+  updateProgress(jobId, 'parse', 100, 'RSS parsed successfully');
+  return { linked, item: bestMatch };
+};
+
+// Short, filename-safe id for an episode without a Spotify id (feed GUID, audio URL or upload hash)
+const hashEpisodeId = (value) => crypto.createHash('sha1').update(value).digest('hex').slice(0, 16);
+
+// Episode link of a job. Jobs from before other apps' links were accepted stored it as spotifyUrl.
+const getEpisodeUrl = (input) => input.episodeUrl || input.spotifyUrl || null;
+
+// Cache key known before any lookup: the linked episode (e.g. spotify:<id>, apple:<id>), the audio URL
+// (matching RSS enclosures), the upload's content hash, or the GUID of a chosen feed episode
+const getInitialCacheKey = (input) => {
+  const { episodeGuid, audioUrl, upload } = input;
+  const episodeUrl = getEpisodeUrl(input);
+  if (episodeUrl) {
+    const resolver = getEpisodeResolver(episodeUrl);
+    return `${resolver.name}:${resolver.getEpisodeId(episodeUrl)}`;
+  }
+  if (audioUrl) return `enclosure:${audioUrl}`;
+  if (upload) return `upload:${upload.sha256}`;
+  return `guid:${episodeGuid}`;
+};
+
+// Title for direct audio: the one given, else the file name of the upload or URL
+const getDirectAudioTitle = ({ title, audioUrl, upload }) => {
+  if (title) return title;
+  let name = upload ? upload.originalName : new URL(audioUrl).pathname.split('/').pop();
+  try {
+    name = decodeURIComponent(name);
+  } catch (error) {
+    // Keep the raw name
+  }
+  return name.replace(/\.[a-z0-9]+$/i, '') || 'Untitled recording';
+};
+
+// Steps 1-4 for a direct audio URL or upload: nothing to look up, just fetch the file (or use the upload)
+const prepareDirectAudio = async (jobId, { audioUrl, upload, title }, episodeId) => {
+  ['metadata', 'rss', 'parse'].forEach(step => updateProgress(jobId, step, 100, 'Not needed for direct audio'));
 
-    const episodeName = spotifyData.name;
-    const spotifyDurationFn = spotifyData.duration; // spotify-url-info returns parsing functions usually
-    let spotifyDurationMs = 0;
+  let filepath;
+  if (upload) {
+    try {
+      await fs.access(upload.path);
+    } catch (error) {
+      throw new Error('The uploaded file is no longer available. Please upload it again.');
+    }
+    filepath = upload.path;
+    updateProgress(jobId, 'download', 100, 'Using uploaded file');
+  } else {
+    throwIfCancelled(jobId);
+    filepath = await downloadAudio(audioUrl, episodeId, jobId);
+  }
+
+  return {
+    filepath,
+    episode: {
+      title: getDirectAudioTitle({ title, audioUrl, upload }),
+      published: null,
+      duration: formatTimestamp(await getAudioDuration(filepath))
+    }
+  };
+};
 
-    // Try to get duration if available (it might be in spotifyData directly or needing a helper)
-    // For now we rely mostly on title, but let's try to find best match
+// Mark the steps a cache hit skips as done
+const markCachedSteps = (jobId, steps) => {
+  steps.forEach(step => updateProgress(jobId, step, 100, 'Using cached transcript'));
+};
 
-    let bestMatch = null;
-    let bestScore = 0;
+// Run the full pipeline for a job using the input stored on its record
+const runTranscriptionJob = async (jobId) => {
+  const { input } = jobStore.get(jobId);
+  const { rssUrl: providedRssUrl, episodeGuid, audioUrl, upload, summaryProvider, summaryStyle, summaryTemplate, force } = input;
+  const episodeUrl = getEpisodeUrl(input);
+  const summaryOptionsKey = getSummaryOptionsKey({ provider: summaryProvider, style: summaryStyle, template: summaryTemplate });
+  let tempFilePath = null;
 
-    console.log(`Searching for episode: "${episodeName}" in ${feed.items.length} items...`);
+  try {
+    console.log(`[${jobId}] Processing:`, episodeUrl || audioUrl || upload?.originalName || providedRssUrl);
+
+    // Check the cache by the job's source first, then by the RSS item once it's known
+    const episodeId = episodeUrl
+      ? getEpisodeResolver(episodeUrl).getEpisodeId(episodeUrl)
+      : hashEpisodeId(episodeGuid || audioUrl || upload.sha256);
+    let cacheKeys = [getInitialCacheKey(input)];
+    let cached = force ? null : getCachedResult(cacheKeys);
+    let episode;
+
+    // Uploads are removed however the job ends, including when the result comes from the cache
+    if (upload) {
+      trackTempFile(jobId, upload.path);
+    }
 
-    feed.items.forEach(item => {
-      const score = calculateMatchScore(item, episodeName, 0); // We assume 0 duration for now as spotify-url-info might not give easy access
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = item;
+    if (cached) {
+      markCachedSteps(jobId, ['metadata', 'rss', 'parse']);
+    } else if (audioUrl || upload) {
+      ({ episode, filepath: tempFilePath } = await prepareDirectAudio(jobId, input, episodeId));
+    } else {
+      const resolved = await resolveEpisode(jobId, episodeUrl, providedRssUrl, episodeGuid);
+      if (!resolved) return;
+
+      episode = {
+        title: resolved.item.title,
+        published: resolved.item.pubDate,
+        duration: resolved.item.itunes?.duration
+      };
+      cacheKeys = cacheKeys.concat(getEpisodeCacheKeys(resolved.item));
+      cached = force ? null : getCachedResult(cacheKeys);
+
+      if (!cached) {
+        // Step 4: Download audio
+        throwIfCancelled(jobId);
+        tempFilePath = await downloadAudio(resolved.item.enclosure.url, episodeId, jobId);
       }
+    }
+
+    // Named in failure notifications from here on
+    if (episode) {
+      jobStore.get(jobId).title = episode.title;
+    }
+
+    // Step 5: Process transcription (with chunking if needed), unless it's cached
+    let transcript;
+    let segments;
+    let chunkBoundaries;
+    if (cached) {
+      console.log(`[${jobId}] Cache hit for "${cached.result.episode.title}"`);
+      markCachedSteps(jobId, ['download', 'compress', 'transcribe']);
+      ({ transcript, segments, chunkBoundaries } = cached.result);
+      episode = cached.result.episode;
+    } else {
+      ({ text: transcript, segments, chunkBoundaries } = await processTranscription(tempFilePath, jobId));
+    }
+
+    // Chapters and summary are reused too when they were produced with the same settings
+    const enrichment = cached && cached.summaryOptionsKey === summaryOptionsKey ? cached.result : null;
+    let chapters;
+    let summaryFields;
+
+    if (enrichment) {
+      markCachedSteps(jobId, ['chapters', 'summary']);
+      chapters = enrichment.chapters;
+      summaryFields = {
+        summary: enrichment.summary,
+        summaryProvider: enrichment.summaryProvider,
+        summaryStyle: enrichment.summaryStyle,
+        summaryCoverage: enrichment.summaryCoverage
+      };
+    } else {
+      // Step 6: Split the episode into chapters (if a summariser is configured)
+      chapters = await generateChapters(segments, episode.title, jobId, summaryProvider);
+
+      // Step 7: Summarise transcript (if a summariser is configured)
+      let summary = null;
+      try {
+        summary = await summariseTranscript(transcript, episode.title, jobId, {
+          provider: summaryProvider,
+          style: summaryStyle,
+          template: summaryTemplate
+        });
+      } catch (summaryError) {
+        console.error(`[${jobId}] Failed to generate summary:`, summaryError);
+      }
+
+      summaryFields = {
+        summary: summary ? summary.text : null,
+        summaryProvider: summary ? { name: summary.provider, model: summary.model } : null,
+        summaryStyle: summary ? summary.style : null,
+        summaryCoverage: summary ? summary.coverage : null
+      };
+    }
+
+    // Step 8: Clean up
+    if (tempFilePath) {
+      await cleanupFile(tempFilePath);
+      tempFilePath = null;
+    }
+
+    // Step 9: Store result
+    throwIfCancelled(jobId);
+    const result = {
+      success: true,
+      episode,
+      transcript: transcript,
+      segments: segments,
+      chunkBoundaries: chunkBoundaries,
+      chapters: chapters,
+      ...summaryFields
+    };
+
+    // Cache fresh transcripts, and re-summarised cached ones unless the new summary failed
+    if (!enrichment && (!cached || result.summary)) {
+      await storeCachedResult(cacheKeys, result, summaryOptionsKey);
+    }
+    await completeJob(jobId, { ...result, cached: Boolean(cached) });
+
+  } catch (error) {
+    if (tempFilePath) {
+      await cleanupFile(tempFilePath);
+    }
+
+    if (isJobCancelled(jobId)) {
+      console.log(`[${jobId}] Job cancelled`);
+      return;
+    }
+
+    console.error(`[${jobId}] Error:`, error);
+    await failJob(jobId, error.message || 'An error occurred');
+  }
+};
+
+// Run a job from the queue, tracking what needs to be undone if it is cancelled
+const startJob = async (jobId) => {
+  const job = jobStore.get(jobId);
+  const context = {
+    abortController: new AbortController(),
+    cancelled: false,
+    processes: new Set(),
+    tempFiles: new Set()
+  };
+  activeJobs.set(jobId, context);
+
+  job.status = 'running';
+  job.attempts += 1;
+  job.partialTranscript = [];
+  await persistJob(jobId, true);
+
+  try {
+    await runTranscriptionJob(jobId);
+  } finally {
+    for (const filepath of context.tempFiles) {
+      await cleanupFile(filepath);
+    }
+    activeJobs.delete(jobId);
+    processQueue();
+  }
+};
+
+// Start queued jobs while worker slots are free
+const processQueue = () => {
+  while (activeJobs.size < MAX_CONCURRENT_JOBS && jobQueue.length > 0) {
+    const jobId = jobQueue.shift();
+    startJob(jobId).catch((error) => {
+      console.error(`[${jobId}] Unexpected job error:`, error);
     });
+  }
+  announceQueuePositions();
+};
 
-    // If no good match found (minimum threshold: 0.5)
-    if (!bestMatch || bestScore < 0.5) {
-      const errorMsg = bestMatch
-        ? `Episode match quality too low (${bestScore.toFixed(2)}). Best match: "${bestMatch.title}" vs expected: "${episodeName}"`
-        : 'No episodes found in RSS feed';
+// Add a job to the back of the queue
+const enqueueJob = (jobId) => {
+  jobQueue.push(jobId);
+  const position = jobQueue.length;
+  console.log(`[${jobId}] Queued (position ${position}, ${activeJobs.size}/${MAX_CONCURRENT_JOBS} workers busy)`);
+  processQueue();
+};
 
-      console.log(`Episode matching failed: ${errorMsg}`);
-      updateProgress(jobId, 'error', 100, 'Could not find matching episode in RSS feed');
-      progressStore.get(jobId).complete = true;
+// Cancel a queued or running job. Cancelling a batch cancels its unfinished episodes.
+const cancelJob = async (jobId) => {
+  const job = jobStore.get(jobId);
+  if (job && isBatchJob(job)) {
+    for (const episode of job.batch?.episodes || []) {
+      if (jobStore.get(episode.jobId) && !jobStore.get(episode.jobId).complete) {
+        await cancelJob(episode.jobId);
+      }
+    }
+    await cancelJobRecord(jobId);
+    return;
+  }
 
-      // Send error notification via webhook
-      await sendWebhook(
-        `Error: Episode Not Found - ${episodeName}`,
-        `Could not find a matching episode in the RSS feed.\n\nPodcast: ${spotifyData.subtitle}\nEpisode: ${episodeName}\n\nBest match found: "${bestMatch?.title || 'none'}" (similarity: ${bestScore.toFixed(2)})\n\nThis episode may not be available in the podcast's RSS feed yet, or the titles may differ significantly between Spotify and the RSS feed.`
-      );
+  const queueIndex = jobQueue.indexOf(jobId);
+  if (queueIndex !== -1) {
+    jobQueue.splice(queueIndex, 1);
+    announceQueuePositions();
+  }
+
+  const context = activeJobs.get(jobId);
+  if (context) {
+    context.cancelled = true;
+    context.abortController.abort();
+    for (const processHandle of context.processes) {
+      processHandle.kill('SIGKILL');
+    }
+    context.processes.clear();
+  } else if (jobStore.get(jobId)?.input.upload) {
+    // A queued upload never reached the runner that would remove it
+    await cleanupFile(jobStore.get(jobId).input.upload.path);
+  }
+
+  await cancelJobRecord(jobId);
+};
+
+// A batch is a parent job for several episodes of a show; each episode runs as its own child job
+const isBatchJob = (job) => Boolean(job.input.showUrl);
+
+// How far along a job is, from 0 to 1, judged by its pipeline steps
+const getJobFraction = (job) => {
+  if (!job || job.complete) return 1;
+  const total = PIPELINE_STEPS.reduce((sum, step) => sum + (job.progress[step]?.percentage || 0), 0);
+  return total / (PIPELINE_STEPS.length * 100);
+};
+
+// Episodes with the current status of each one's job (expired once the job is pruned)
+const getEpisodeJobStatuses = (episodes) => {
+  return episodes.map(episode => {
+    const child = jobStore.get(episode.jobId);
+    return { ...episode, status: child ? child.status : 'expired', error: child?.error || null };
+  });
+};
+
+// A batch's episodes with the current status of each child job
+const getBatchEpisodes = (batch) => getEpisodeJobStatuses(batch.batch?.episodes || []);
+
+// Roll a batch's child jobs up into its progress, and finish the batch once every episode has
+const refreshBatch = async (batchId) => {
+  const batch = jobStore.get(batchId);
+  if (!batch || batch.complete || !batch.batch?.episodes.length) return;
+
+  const episodes = getBatchEpisodes(batch);
+  const children = episodes.map(episode => jobStore.get(episode.jobId));
+  const completed = episodes.filter(episode => episode.status === 'completed').length;
+  const unfinished = children.filter(child => child && !child.complete).length;
+  const failed = episodes.length - completed - unfinished;
+
+  const percentage = Math.round(children.reduce((sum, child) => sum + getJobFraction(child), 0) / children.length * 100);
+  const message = `${completed + failed}/${episodes.length} episodes finished${failed ? ` (${failed} failed)` : ''}`;
+  const previous = batch.progress.batch;
+  if (!previous || previous.percentage !== percentage || previous.message !== message) {
+    updateProgress(batchId, 'batch', percentage, message);
+  }
+
+  if (unfinished > 0) return;
+
+  if (completed === 0) {
+    await failJob(batchId, 'None of the episodes could be transcribed');
+    return;
+  }
+  await completeJob(batchId, { success: true, show: batch.batch.show, episodes });
+};
+
+// Recompute a batch's progress shortly, folding a burst of child updates into one
+const scheduleBatchRefresh = (batchId) => {
+  if (pendingBatchRefreshes.has(batchId)) return;
+  pendingBatchRefreshes.set(batchId, setTimeout(() => {
+    pendingBatchRefreshes.delete(batchId);
+    refreshBatch(batchId).catch((error) => {
+      console.error(`[${batchId}] Failed to update batch:`, error);
+    });
+  }, BATCH_PROGRESS_INTERVAL_MS));
+};
+
+// End of a date range: a bare date (2024-01-31) includes that whole day
+const getRangeEnd = (until) => {
+  const end = Date.parse(until);
+  return /^\d{4}-\d{2}-\d{2}$/.test(until) ? end + 24 * 60 * 60 * 1000 : end;
+};
+
+// Feed episodes for a batch: newest first, within the date range, at most `count` (and BATCH_MAX_EPISODES)
+const selectBatchEpisodes = (items, { count, since, until }) => {
+  const start = since ? Date.parse(since) : -Infinity;
+  const end = until ? getRangeEnd(until) : Infinity;
+
+  return items
+    .filter(item => item.enclosure?.url && getItemGuid(item))
+    .map(item => ({ item, published: Date.parse(item.isoDate || item.pubDate) || 0 }))
+    .filter(({ published }) => (!since && !until) || (published >= start && published < end))
+    .sort((a, b) => b.published - a.published)
+    .slice(0, Math.min(count || BATCH_MAX_EPISODES, BATCH_MAX_EPISODES))
+    .map(({ item }) => item);
+};
+
+// Find a batch's show and feed, then queue a child job for each selected episode
+const runBatchJob = async (batchId) => {
+  const batch = jobStore.get(batchId);
+  const { showUrl, rssUrl: providedRssUrl, count, since, until, summaryProvider, summaryStyle, summaryTemplate, force } = batch.input;
+  batch.status = 'running';
+
+  try {
+    updateProgress(batchId, 'metadata', 0, 'Fetching show from Spotify...');
+    const show = await spotifyShowResolver.resolve(showUrl);
+
+    if (!show) {
+      await failJob(batchId, 'Could not fetch show data from Spotify');
       return;
     }
 
-    console.log(`Best match found: "${bestMatch.title}" (Score: ${bestScore.toFixed(2)})`);
+    updateProgress(batchId, 'metadata', 100, 'Show found');
+    console.log(`[${batchId}] Show found:`, show.name);
 
-    const targetEpisode = bestMatch || feed.items[0];
-    const audioUrl = targetEpisode.enclosure?.url;
+    let rssUrl = providedRssUrl;
+    if (rssUrl) {
+      updateProgress(batchId, 'rss', 100, 'Using provided RSS feed');
+    } else {
+      updateProgress(batchId, 'rss', 0, 'Finding RSS feed...');
+      const discovery = await findRssFeed(show.name, { publisher: show.publisher });
+      rssUrl = discovery.rssUrl;
+      if (!rssUrl && discovery.candidates.length > 0) {
+        await failJob(batchId, `Several RSS feeds could be "${show.name}". Choose one with /api/feed/search and start the batch again with its rssUrl.`);
+        return;
+      }
+      if (!rssUrl) {
+        await failJob(batchId, `Unable to find RSS feed for "${show.name}". This podcast may not be available in Apple Podcasts or Podcast Index directories.`);
+        return;
+      }
+      updateProgress(batchId, 'rss', 100, 'RSS feed found');
+    }
+
+    updateProgress(batchId, 'parse', 0, 'Parsing RSS feed...');
+    const feed = await fetchFeed(rssUrl);
+    const items = selectBatchEpisodes(feed.items, { count, since, until });
 
-    if (!audioUrl) {
-      updateProgress(jobId, 'error', 100, 'No audio URL found for this episode');
-      progressStore.get(jobId).complete = true;
+    if (batch.complete) return; // Cancelled while the feed was being read
+
+    if (items.length === 0) {
+      await failJob(batchId, 'No episodes with audio were found in the requested range');
       return;
     }
 
-    updateProgress(jobId, 'parse', 100, 'RSS parsed successfully');
+    if (jobQueue.length + items.length > MAX_QUEUED_JOBS) {
+      await failJob(batchId, `Too many jobs are waiting to queue ${items.length} more. Please try again later.`);
+      return;
+    }
+
+    updateProgress(batchId, 'parse', 100, `Queueing ${items.length} episode${items.length === 1 ? '' : 's'}`);
+    batch.batch = { show: { name: show.name, rssUrl }, episodes: [] };
+
+    for (const item of items) {
+      const jobId = crypto.randomBytes(16).toString('hex');
+      createJob(jobId, { rssUrl, episodeGuid: getItemGuid(item), batchId, summaryProvider, summaryStyle, summaryTemplate, force });
+      batch.batch.episodes.push({ jobId, ...describeFeedItem(item) });
+      enqueueJob(jobId);
+    }
 
-    // Step 4: Download audio
-    const episodeId = extractEpisodeId(spotifyUrl);
-    tempFilePath = await downloadAudio(audioUrl, episodeId, jobId);
+    await persistJob(batchId, true);
+    await refreshBatch(batchId);
+  } catch (error) {
+    console.error(`[${batchId}] Batch error:`, error);
+    await failJob(batchId, error.message || 'An error occurred');
+  }
+};
 
-    // Step 5: Process transcription (with chunking if needed)
-    const transcript = await processTranscription(tempFilePath, jobId);
+// File name for a bundle entry: "03 - episode-title"
+const getBundleEntryName = (index, title) => {
+  const slug = (title || 'episode').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase().slice(0, 80);
+  return `${String(index + 1).padStart(2, '0')} - ${slug || 'episode'}`;
+};
+
+// Markdown for one episode in a batch bundle: details, summary, chapters and transcript
+const formatEpisodeMarkdown = (result) => {
+  const { episode } = result;
+  const lines = [`# ${episode.title}`, ''];
+  if (episode.published) lines.push(`Published: ${new Date(episode.published).toISOString().slice(0, 10)}`);
+  if (episode.duration) lines.push(`Duration: ${episode.duration}`);
+  lines.push('', '## Summary', '', result.summary || '_No summary available._', '');
+
+  if (result.chapters && result.chapters.length > 0) {
+    lines.push('## Chapters', '');
+    result.chapters.forEach(chapter => {
+      lines.push(`- [${formatTimestamp(chapter.start)}] ${chapter.title}${chapter.description ? ` - ${chapter.description}` : ''}`);
+    });
+    lines.push('');
+  }
+
+  lines.push('## Transcript', '', result.transcript || '', '');
+  return lines.join('\n');
+};
+
+// Write a subscription record to disk
+const persistSubscription = async (subscription) => {
+  await writeJsonFile(path.join(SUBSCRIPTIONS_DIR, `${subscription.id}.json`), subscription);
+};
 
-    // Step 6: Summarise transcript with Gemini (if configured)
-    let summary = null;
+// Load saved subscriptions on startup
+const loadSubscriptions = async () => {
+  await fs.mkdir(SUBSCRIPTIONS_DIR, { recursive: true });
+  const files = await fs.readdir(SUBSCRIPTIONS_DIR);
+
+  for (const file of files) {
+    if (!file.endsWith('.json')) continue;
     try {
-      summary = await summariseWithGemini(transcript, targetEpisode.title, jobId);
-    } catch (summaryError) {
-      console.error(`[${jobId}] Failed to generate summary:`, summaryError);
+      const subscription = JSON.parse(await fs.readFile(path.join(SUBSCRIPTIONS_DIR, file), 'utf8'));
+      subscriptions.set(subscription.id, subscription);
+    } catch (error) {
+      console.error(`Skipping unreadable subscription file ${file}:`, error.message);
     }
+  }
 
-    // Step 7: Clean up
-    await cleanupFile(tempFilePath);
-    tempFilePath = null;
+  console.log(`Loaded ${subscriptions.size} subscription(s) from ${SUBSCRIPTIONS_DIR}`);
+};
 
-    // Step 8: Store result
-    const result = {
-      success: true,
-      episode: {
-        title: targetEpisode.title,
-        published: targetEpisode.pubDate,
-        duration: targetEpisode.itunes?.duration
-      },
-      transcript: transcript,
-      summary: summary
+// A subscription as returned by the API: its recent episodes with their job status, without the seen GUIDs
+const describeSubscription = (subscription) => {
+  const { seenGuids, episodes, ...fields } = subscription;
+  return { ...fields, episodes: getEpisodeJobStatuses(episodes) };
+};
+
+// Feed items a subscription can transcribe (with audio and a GUID), newest first
+const getSubscriptionItems = (items) => {
+  return items
+    .filter(item => item.enclosure?.url && getItemGuid(item))
+    .map(item => ({ item, published: Date.parse(item.isoDate || item.pubDate) || 0 }))
+    .sort((a, b) => b.published - a.published)
+    .map(({ item }) => item);
+};
+
+// Read a subscription's feed and queue a job for each episode whose GUID hasn't been seen before.
+// Every GUID now in the feed becomes seen, including new ones beyond SUBSCRIPTION_MAX_NEW_EPISODES.
+// Returns the number of episodes queued; a failed check is recorded as the subscription's lastError.
+const runSubscriptionCheck = async (subscription) => {
+  let queued = 0;
+
+  try {
+    const feed = await fetchFeed(subscription.rssUrl, { revalidate: true });
+    if (!subscriptions.has(subscription.id)) return 0; // Removed while the feed was being read
+
+    const items = getSubscriptionItems(feed.items);
+    const seen = new Set(subscription.seenGuids);
+    const newItems = items.filter(item => !seen.has(getItemGuid(item))).slice(0, SUBSCRIPTION_MAX_NEW_EPISODES);
+
+    if (jobQueue.length + newItems.length > MAX_QUEUED_JOBS) {
+      throw new Error(`Too many jobs are waiting to queue ${newItems.length} new episode${newItems.length === 1 ? '' : 's'}; they will be queued at the next check`);
+    }
+
+    // Oldest first, so episodes are transcribed in the order they came out
+    const { rssUrl, summaryProvider, summaryStyle, summaryTemplate } = subscription;
+    for (const item of [...newItems].reverse()) {
+      const jobId = crypto.randomBytes(16).toString('hex');
+      createJob(jobId, { rssUrl, episodeGuid: getItemGuid(item), subscriptionId: subscription.id, summaryProvider, summaryStyle, summaryTemplate });
+      subscription.episodes.unshift({ jobId, ...describeFeedItem(item) });
+      enqueueJob(jobId);
+      queued += 1;
+    }
+
+    subscription.episodes = subscription.episodes.slice(0, SUBSCRIPTION_RECENT_EPISODES);
+    subscription.seenGuids = items.map(getItemGuid);
+    subscription.lastSeenGuid = items.length > 0 ? getItemGuid(items[0]) : subscription.lastSeenGuid;
+    subscription.title = feed.title || subscription.title;
+    subscription.lastError = null;
+    console.log(`[subscription ${subscription.id}] Checked "${subscription.title}": ${queued} new episode(s) queued`);
+  } catch (error) {
+    console.error(`[subscription ${subscription.id}] Feed check failed:`, error.message);
+    subscription.lastError = error.message;
+  }
+
+  if (!subscriptions.has(subscription.id)) return queued;
+  subscription.lastCheckedAt = Date.now();
+  subscription.updatedAt = subscription.lastCheckedAt;
+  await persistSubscription(subscription);
+  return queued;
+};
+
+// Check a subscription's feed, sharing a check that is already running so no episode is queued twice
+const checkSubscription = (subscription) => {
+  if (!subscriptionChecks.has(subscription.id)) {
+    subscriptionChecks.set(subscription.id, runSubscriptionCheck(subscription).finally(() => {
+      subscriptionChecks.delete(subscription.id);
+    }));
+  }
+  return subscriptionChecks.get(subscription.id);
+};
+
+// Check every active subscription, one feed at a time
+const pollSubscriptions = async () => {
+  for (const subscription of subscriptions.values()) {
+    if (subscription.status === 'active') {
+      await checkSubscription(subscription);
+    }
+  }
+};
+
+// Announce a finished job: subscription episodes are sent whole (summary, chapters and transcript) as
+// subscription.episode, other jobs as job.completed with the summary and transcript
+const notifyJobCompleted = async (job) => {
+  const { episode, summary, transcript } = job.result;
+  const data = { jobId: job.id, episode, summary, cached: Boolean(job.result.cached) };
+
+  if (job.input.subscriptionId) {
+    const subscription = subscriptions.get(job.input.subscriptionId);
+    const showTitle = subscription ? `${subscription.title}: ` : '';
+    await notifyWebhooks('subscription.episode', {
+      subject: `New Episode: ${showTitle}${episode.title}`,
+      body: formatEpisodeMarkdown(job.result),
+      data: { ...data, subscriptionId: job.input.subscriptionId, rssUrl: job.input.rssUrl }
+    });
+    return;
+  }
+
+  // Append transcript with a separator and blockquote for distinct styling
+  const quotedTranscript = (transcript || '').split('\n').map(line => `> ${line}`).join('\n');
+  await notifyWebhooks('job.completed', {
+    subject: summary ? `Summary: ${episode.title}` : `Transcript: ${episode.title}`,
+    body: `${summary || '_No summary available._'}\n\n---\n\n### Full Transcript\n\n${quotedTranscript}`,
+    data
+  });
+};
+
+// Announce a failed job, with where its episode came from
+const notifyJobFailed = async (job) => {
+  const { input } = job;
+  const title = job.title || (input.audioUrl || input.upload ? getDirectAudioTitle(input) : input.title) || 'Unknown Episode';
+  const source = getEpisodeUrl(input) || input.audioUrl || input.rssUrl;
+  await notifyWebhooks('job.failed', {
+    subject: `Error Processing: ${title}`,
+    body: `Job failed.\n\nError: ${job.error}${source ? `\n\nSource: ${source}` : ''}`,
+    data: { jobId: job.id, title, source: source || null, subscriptionId: input.subscriptionId || null, error: job.error }
+  });
+};
+
+// Multipart audio uploads (field "audio"), written straight to TEMP_DIR. Named .mp3 like downloads,
+// since later steps derive their file names from it; ffmpeg detects the real format.
+const audioUpload = multer({
+  storage: multer.diskStorage({
+    destination: TEMP_DIR,
+    filename: (req, file, callback) => callback(null, `upload_${crypto.randomBytes(8).toString('hex')}.mp3`)
+  }),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, callback) => {
+    const type = (file.mimetype || '').toLowerCase();
+    if (type.startsWith('audio/') || type.startsWith('video/') || type === 'application/octet-stream') {
+      return callback(null, true);
+    }
+    callback(Object.assign(new Error(`${file.originalname} is not an audio file`), { status: 415 }));
+  }
+});
+
+// Accept an optional audio upload, answering upload errors as JSON
+const handleAudioUpload = (req, res, next) => {
+  audioUpload.single('audio')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Uploads are limited to ${MAX_UPLOAD_MB} MB` });
+    }
+    res.status(error.status || 400).json({ error: error.message });
+  });
+};
+
+// SHA-256 of a file, used as the cache key for uploads
+const hashFile = (filepath) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    require('fs').createReadStream(filepath)
+      .on('data', (data) => hash.update(data))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+};
+
+// Check the summary options of a request; returns an error message or null
+const getSummaryOptionsError = ({ summaryProvider, summaryStyle, summaryTemplate }) => {
+  if (summaryProvider && !Object.hasOwn(summariserFactories, summaryProvider)) {
+    return `Unknown summary provider. Use one of: ${Object.keys(summariserFactories).join(', ')}`;
+  }
+  if (summaryStyle && !Object.hasOwn(SUMMARY_STYLES, summaryStyle)) {
+    return `Unknown summary style. Use one of: ${Object.keys(SUMMARY_STYLES).join(', ')}`;
+  }
+  if (summaryTemplate !== undefined) {
+    return validateSummaryTemplate(summaryTemplate);
+  }
+  return null;
+};
+
+// Main endpoint to get transcript. The source is an episode link (Spotify, Apple Podcasts, Overcast or
+// Pocket Casts; spotifyUrl is still accepted for episodeUrl), an RSS feed and episode GUID, a direct
+// audio URL, or an uploaded file (multipart field "audio").
+app.post('/api/transcript', handleAudioUpload, async (req, res) => {
+  const { rssUrl, episodeGuid, audioUrl, title, summaryProvider, summaryStyle, summaryTemplate } = req.body;
+  const episodeUrl = req.body.episodeUrl || req.body.spotifyUrl;
+  const force = req.body.force === true || req.body.force === 'true';
+
+  // Remove the upload unless a job takes it over
+  let uploadQueued = false;
+  if (req.file) {
+    res.on('finish', () => {
+      if (!uploadQueued) cleanupFile(req.file.path);
+    });
+  }
+
+  const nonStringField = Object.entries({ episodeUrl, rssUrl, episodeGuid, audioUrl })
+    .find(([, value]) => value !== undefined && value !== null && typeof value !== 'string');
+  if (nonStringField) {
+    return res.status(400).json({ error: `${nonStringField[0]} must be a string` });
+  }
+
+  const sourceCount = [episodeUrl || episodeGuid, audioUrl, req.file].filter(Boolean).length;
+  if (sourceCount === 0) {
+    return res.status(400).json({ error: 'An episode link, an audio URL or an audio file is required' });
+  }
+  if (sourceCount > 1) {
+    return res.status(400).json({ error: 'Send only one of an episode link, an audio URL or an audio file' });
+  }
+
+  if (episodeGuid && !episodeUrl && !rssUrl) {
+    return res.status(400).json({ error: 'An RSS feed URL is required with episodeGuid' });
+  }
+
+  if (audioUrl && !/^https?:\/\//i.test(audioUrl)) {
+    return res.status(400).json({ error: 'audioUrl must be an http or https URL' });
+  }
+
+  // Hosts that don't resolve are left to the download, which reports them
+  if (audioUrl && !ALLOW_PRIVATE_AUDIO_HOSTS) {
+    try {
+      await assertPublicUrl(audioUrl);
+    } catch (error) {
+      if (error.code === 'ENONPUBLIC') {
+        return res.status(400).json({ error: `audioUrl not allowed: ${error.message}` });
+      }
+    }
+  }
+
+  if (episodeUrl) {
+    const resolver = getEpisodeResolver(episodeUrl);
+    if (!resolver) {
+      return res.status(400).json({ error: 'Unsupported episode link. Use a Spotify, Apple Podcasts, Overcast or Pocket Casts episode link.' });
+    }
+    try {
+      resolver.getEpisodeId(episodeUrl);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  const summaryOptionsError = getSummaryOptionsError({ summaryProvider, summaryStyle, summaryTemplate });
+  if (summaryOptionsError) {
+    return res.status(400).json({ error: summaryOptionsError });
+  }
+
+  let upload;
+  if (req.file) {
+    try {
+      await validateDownloadedAudio(req.file.path);
+    } catch (error) {
+      return res.status(400).json({ error: error.message.replace('Downloaded', 'Uploaded') });
+    }
+    upload = {
+      path: req.file.path,
+      originalName: req.file.originalname,
+      size: req.file.size,
+      sha256: await hashFile(req.file.path)
     };
+  }
+
+  const jobId = crypto.randomBytes(16).toString('hex');
+  const input = { episodeUrl, rssUrl, episodeGuid, audioUrl, upload, title, summaryProvider, summaryStyle, summaryTemplate, force };
+
+  // Serve a cached result straight away when it was produced with the same summary settings
+  const cached = force ? null : getCachedResult([getInitialCacheKey(input)]);
+  if (cached && cached.summaryOptionsKey === getSummaryOptionsKey({ provider: summaryProvider, style: summaryStyle, template: summaryTemplate })) {
+    console.log(`[${jobId}] Serving cached result for "${cached.result.episode.title}"`);
+    createJob(jobId, input);
+    await completeJob(jobId, { ...cached.result, cached: true });
+    return res.json({ jobId, cached: true, message: 'Cached transcript found. Use /api/result/:jobId to fetch it.' });
+  }
+
+  if (jobQueue.length >= MAX_QUEUED_JOBS) {
+    return res.status(503).json({ error: 'Too many jobs are waiting. Please try again later.' });
+  }
 
-    updateProgress(jobId, 'complete', 100, 'Transcription complete!');
-    progressStore.get(jobId).result = result;
-    progressStore.get(jobId).complete = true;
+  createJob(jobId, input);
+  uploadQueued = true;
+  enqueueJob(jobId);
 
+  // Send immediate response with jobId
+  res.json({ jobId, message: 'Transcription queued. Use /api/progress/:jobId to track progress.' });
+});
+
+// List the built-in summary styles
+app.get('/api/summary-styles', (req, res) => {
+  res.json(Object.entries(SUMMARY_STYLES).map(([id, style]) => ({ id, label: style.label })));
+});
+
+// Cancel a job
+app.delete('/api/jobs/:jobId', async (req, res) => {
+  const { jobId } = req.params;
+  const job = jobStore.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.complete) {
+    return res.status(409).json({ error: `Job already ${job.status}` });
+  }
+
+  await cancelJob(jobId);
+  res.json({ jobId, status: job.status });
+});
+
+// Start a batch for a Spotify show: its latest `count` episodes and/or those published between
+// `since` and `until`. Each episode becomes a child job; the batch reports their combined progress.
+app.post('/api/batch', async (req, res) => {
+  const { showUrl, rssUrl, since, until, summaryProvider, summaryStyle, summaryTemplate } = req.body;
+  const count = req.body.count === undefined || req.body.count === '' ? undefined : Number(req.body.count);
+  const force = req.body.force === true || req.body.force === 'true';
+
+  if (!showUrl || !spotifyShowResolver.matches(showUrl)) {
+    return res.status(400).json({ error: 'A Spotify show URL is required (https://open.spotify.com/show/...)' });
+  }
+
+  try {
+    spotifyShowResolver.getShowId(showUrl);
   } catch (error) {
-    console.error(`[${jobId}] Error:`, error);
+    return res.status(400).json({ error: error.message });
+  }
 
-    if (tempFilePath) {
-      await cleanupFile(tempFilePath);
+  if (count === undefined && !since && !until) {
+    return res.status(400).json({ error: 'Give a number of episodes (count) or a date range (since, until)' });
+  }
+
+  if (count !== undefined && !(Number.isInteger(count) && count >= 1 && count <= BATCH_MAX_EPISODES)) {
+    return res.status(400).json({ error: `count must be a whole number from 1 to ${BATCH_MAX_EPISODES}` });
+  }
+
+  if ([since, until].some(date => date && Number.isNaN(Date.parse(date)))) {
+    return res.status(400).json({ error: 'since and until must be dates, e.g. 2024-01-31' });
+  }
+
+  if (rssUrl && !/^https?:\/\//i.test(rssUrl)) {
+    return res.status(400).json({ error: 'rssUrl must be an http or https URL' });
+  }
+
+  const summaryOptionsError = getSummaryOptionsError({ summaryProvider, summaryStyle, summaryTemplate });
+  if (summaryOptionsError) {
+    return res.status(400).json({ error: summaryOptionsError });
+  }
+
+  const batchId = crypto.randomBytes(16).toString('hex');
+  createJob(batchId, { showUrl, rssUrl, count, since, until, summaryProvider, summaryStyle, summaryTemplate, force });
+  runBatchJob(batchId).catch((error) => {
+    console.error(`[${batchId}] Unexpected batch error:`, error);
+  });
+
+  res.json({
+    batchId,
+    message: 'Batch started. Use /api/progress/:batchId to track progress and /api/batch/:batchId for its episodes.'
+  });
+});
+
+// A batch's status, combined progress and episodes (each with its child job's status)
+app.get('/api/batch/:batchId', (req, res) => {
+  const batch = jobStore.get(req.params.batchId);
+
+  if (!batch || !isBatchJob(batch)) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  res.json({
+    batchId: batch.id,
+    status: batch.status,
+    error: batch.error,
+    progress: batch.progress.batch || null,
+    show: batch.batch?.show || null,
+    episodes: getBatchEpisodes(batch)
+  });
+});
+
+// Zip of every finished episode in a batch: a Markdown file (summary, chapters, transcript) and
+// SRT subtitles per episode, plus index.json listing all episodes and their status
+app.get('/api/batch/:batchId/bundle', async (req, res) => {
+  const batch = jobStore.get(req.params.batchId);
+
+  if (!batch || !isBatchJob(batch)) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+
+  const episodes = getBatchEpisodes(batch);
+  if (!episodes.some(episode => episode.status === 'completed')) {
+    return res.status(409).json({ error: 'No episodes in this batch have finished yet' });
+  }
+
+  const showName = batch.batch.show.name;
+  const filename = `${(showName.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'show')}-transcripts.zip`;
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  const archive = archiver('zip');
+  archive.on('error', (error) => {
+    console.error(`[${batch.id}] Failed to build bundle:`, error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  episodes.forEach((episode, index) => {
+    const result = episode.status === 'completed' ? jobStore.get(episode.jobId).result : null;
+    if (!result) return;
+    const name = getBundleEntryName(index, episode.title);
+    archive.append(formatEpisodeMarkdown(result), { name: `${name}.md` });
+    if (result.segments && result.segments.length > 0) {
+      archive.append(segmentsToSrt(result.segments), { name: `${name}.srt` });
+    }
+  });
+
+  archive.append(JSON.stringify({ show: batch.batch.show, status: batch.status, episodes }, null, 2), { name: 'index.json' });
+  await archive.finalize();
+});
+
+// Subscribe to an RSS feed or a Spotify show. Episodes already in the feed are only marked as seen;
+// each check after that queues the new ones and sends their results through the webhook.
+app.post('/api/subscriptions', async (req, res) => {
+  const { showUrl, summaryProvider, summaryStyle, summaryTemplate } = req.body;
+  let { rssUrl } = req.body;
+
+  if (!rssUrl && !showUrl) {
+    return res.status(400).json({ error: 'An RSS feed URL (rssUrl) or a Spotify show URL (showUrl) is required' });
+  }
+
+  if (rssUrl && !/^https?:\/\//i.test(rssUrl)) {
+    return res.status(400).json({ error: 'rssUrl must be an http or https URL' });
+  }
+
+  if (showUrl) {
+    if (!spotifyShowResolver.matches(showUrl)) {
+      return res.status(400).json({ error: 'showUrl must be a Spotify show URL (https://open.spotify.com/show/...)' });
+    }
+    try {
+      spotifyShowResolver.getShowId(showUrl);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  const summaryOptionsError = getSummaryOptionsError({ summaryProvider, summaryStyle, summaryTemplate });
+  if (summaryOptionsError) {
+    return res.status(400).json({ error: summaryOptionsError });
+  }
+
+  let show = null;
+  if (showUrl && !rssUrl) {
+    try {
+      show = await spotifyShowResolver.resolve(showUrl);
+    } catch (error) {
+      console.error('Failed to fetch show from Spotify:', error.message);
+    }
+    if (!show) {
+      return res.status(502).json({ error: 'Could not fetch show data from Spotify' });
     }
 
-    updateProgress(jobId, 'error', 100, error.message || 'An error occurred');
-    progressStore.get(jobId).complete = true;
+    const discovery = await findRssFeed(show.name, { publisher: show.publisher });
+    rssUrl = discovery.rssUrl;
+    if (!rssUrl && discovery.candidates.length > 0) {
+      return res.status(409).json({
+        error: `Several RSS feeds could be "${show.name}". Subscribe with the rssUrl of the right one.`,
+        candidates: discovery.candidates
+      });
+    }
+    if (!rssUrl) {
+      return res.status(404).json({ error: `Unable to find RSS feed for "${show.name}". Subscribe with its rssUrl instead.` });
+    }
+  }
+
+  const existing = [...subscriptions.values()].find(subscription => subscription.rssUrl === rssUrl);
+  if (existing) {
+    return res.status(409).json({ error: 'This feed already has a subscription', subscription: describeSubscription(existing) });
+  }
+
+  let feed;
+  try {
+    feed = await fetchFeed(rssUrl);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not read the RSS feed: ${error.message}` });
+  }
+
+  const items = getSubscriptionItems(feed.items);
+  const now = Date.now();
+  const subscription = {
+    id: crypto.randomBytes(16).toString('hex'),
+    rssUrl,
+    showUrl: showUrl || null,
+    title: feed.title || (show && show.name) || rssUrl,
+    status: 'active',
+    summaryProvider,
+    summaryStyle,
+    summaryTemplate,
+    seenGuids: items.map(getItemGuid),
+    lastSeenGuid: items.length > 0 ? getItemGuid(items[0]) : null,
+    episodes: [],
+    createdAt: now,
+    updatedAt: now,
+    lastCheckedAt: now,
+    lastError: null
+  };
+
+  subscriptions.set(subscription.id, subscription);
+  await persistSubscription(subscription);
+  console.log(`[subscription ${subscription.id}] Subscribed to "${subscription.title}" (${items.length} existing episode(s) marked as seen)`);
+
+  res.status(201).json(describeSubscription(subscription));
+});
+
+// List subscriptions
+app.get('/api/subscriptions', (req, res) => {
+  res.json([...subscriptions.values()].map(describeSubscription));
+});
+
+// A subscription with its recent episodes (each with its job's status)
+app.get('/api/subscriptions/:subscriptionId', (req, res) => {
+  const subscription = subscriptions.get(req.params.subscriptionId);
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  res.json(describeSubscription(subscription));
+});
+
+// Stop checking a subscription's feed until it is resumed
+app.post('/api/subscriptions/:subscriptionId/pause', async (req, res) => {
+  const subscription = subscriptions.get(req.params.subscriptionId);
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  subscription.status = 'paused';
+  subscription.updatedAt = Date.now();
+  await persistSubscription(subscription);
+  res.json(describeSubscription(subscription));
+});
+
+// Check a paused subscription again. Episodes published while it was paused count as new.
+app.post('/api/subscriptions/:subscriptionId/resume', async (req, res) => {
+  const subscription = subscriptions.get(req.params.subscriptionId);
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  subscription.status = 'active';
+  subscription.updatedAt = Date.now();
+  await persistSubscription(subscription);
+  res.json(describeSubscription(subscription));
+});
+
+// Check a subscription's feed now instead of waiting for the next scheduled check
+app.post('/api/subscriptions/:subscriptionId/check', async (req, res) => {
+  const subscription = subscriptions.get(req.params.subscriptionId);
+
+  if (!subscription) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  const queued = await checkSubscription(subscription);
+  res.json({ queued, subscription: describeSubscription(subscription) });
+});
+
+// Remove a subscription. Episodes it already queued still run and are still sent.
+app.delete('/api/subscriptions/:subscriptionId', async (req, res) => {
+  const { subscriptionId } = req.params;
 
-    // Send error webhook
-    const episodeTitle = (spotifyData && spotifyData.name) || 'Unknown Episode';
-    await sendWebhook(`Error Processing: ${episodeTitle}`, `Job failed.\n\nError: ${error.message}`);
+  if (!subscriptions.has(subscriptionId)) {
+    return res.status(404).json({ error: 'Subscription not found' });
   }
+
+  subscriptions.delete(subscriptionId);
+  try {
+    await fs.unlink(path.join(SUBSCRIPTIONS_DIR, `${subscriptionId}.json`));
+  } catch (error) {
+    console.error(`[subscription ${subscriptionId}] Failed to remove subscription file:`, error.message);
+  }
+  res.json({ subscriptionId, removed: true });
+});
+
+// Register a webhook endpoint for some or all events. A secret is generated unless one is given;
+// it is only returned here, and signs every delivery (X-Webhook-Signature).
+app.post('/api/webhooks', async (req, res) => {
+  const { url, description } = req.body;
+  const events = req.body.events === undefined ? WEBHOOK_EVENTS : req.body.events;
+  const secret = req.body.secret === undefined ? crypto.randomBytes(32).toString('hex') : req.body.secret;
+
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+    return res.status(400).json({ error: 'url must be an http or https URL' });
+  }
+
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    return res.status(400).json({ error: `events must be a list of: ${WEBHOOK_EVENTS.join(', ')}` });
+  }
+
+  if (secret !== null && (typeof secret !== 'string' || secret.length < 16)) {
+    return res.status(400).json({ error: 'secret must be at least 16 characters, or null to send unsigned deliveries' });
+  }
+
+  const now = Date.now();
+  const endpoint = {
+    id: crypto.randomBytes(16).toString('hex'),
+    url,
+    description: typeof description === 'string' ? description : null,
+    events: [...new Set(events)],
+    secret,
+    source: 'api',
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await webhooks.addEndpoint(endpoint);
+  res.status(201).json({ ...describeWebhookEndpoint(endpoint), secret });
+});
+
+// List webhook endpoints, including the one set by WEBHOOK_URL
+app.get('/api/webhooks', (req, res) => {
+  res.json(webhooks.getEndpoints().map(describeWebhookEndpoint));
+});
+
+// The delivery log, newest first, optionally filtered by status, event or endpoint
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const { status, event, webhookId } = req.query;
+  const deliveries = webhooks.getDeliveries({ status, event, endpointId: webhookId });
+  res.json(deliveries.map(describeWebhookDelivery));
+});
+
+// One delivery with its attempts, and its payload while it is pending or failed
+app.get('/api/webhooks/deliveries/:deliveryId', (req, res) => {
+  const delivery = webhooks.getDelivery(req.params.deliveryId);
+
+  if (!delivery) {
+    return res.status(404).json({ error: 'Delivery not found' });
+  }
+
+  res.json(delivery);
+});
+
+// Send a ping event to one endpoint, to check it receives and verifies deliveries
+app.post('/api/webhooks/:webhookId/test', async (req, res) => {
+  const endpoint = webhooks.getEndpoint(req.params.webhookId);
+
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  const [delivery] = await notifyWebhooks('ping', {
+    subject: 'Test notification',
+    body: 'This is a test notification from Spotify Podcast Transcriber.',
+    data: { webhookId: endpoint.id }
+  }, [endpoint]);
+  res.status(202).json({ deliveryId: delivery.id, message: 'Ping queued. Use /api/webhooks/deliveries/:deliveryId to see how it went.' });
+});
+
+// Remove a webhook endpoint. Its pending deliveries fail at their next attempt.
+app.delete('/api/webhooks/:webhookId', async (req, res) => {
+  const { webhookId } = req.params;
+  const endpoint = webhooks.getEndpoint(webhookId);
+
+  if (endpoint?.source === 'env') {
+    return res.status(409).json({ error: 'This endpoint is set by WEBHOOK_URL. Change the environment to remove it.' });
+  }
+
+  if (!endpoint) {
+    return res.status(404).json({ error: 'Webhook not found' });
+  }
+
+  await webhooks.removeEndpoint(webhookId);
+  res.json({ webhookId, removed: true });
+});
+
+// Resume a job waiting for the user to choose its episode (guid) or the show's feed (rssUrl)
+app.post('/api/jobs/:jobId/selection', async (req, res) => {
+  const { jobId } = req.params;
+  const { guid, rssUrl } = req.body;
+  const job = jobStore.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  if (job.status !== 'awaiting_selection') {
+    return res.status(409).json({ error: 'Job is not waiting for an episode or feed to be chosen' });
+  }
+
+  const choosingFeed = job.selection.type === 'feed';
+  if (choosingFeed && (typeof rssUrl !== 'string' || !/^https?:\/\//i.test(rssUrl))) {
+    return res.status(400).json({ error: 'rssUrl is required to choose the feed' });
+  }
+
+  if (!choosingFeed && (!guid || typeof guid !== 'string')) {
+    return res.status(400).json({ error: 'guid is required' });
+  }
+
+  if (jobQueue.length >= MAX_QUEUED_JOBS) {
+    return res.status(503).json({ error: 'Too many jobs are waiting. Please try again later.' });
+  }
+
+  // A chosen feed is remembered for the show, and the job looks for its episode in it
+  if (choosingFeed) {
+    await rememberFeedLookup(job.selection.podcast, rssUrl);
+    job.input = { ...job.input, rssUrl };
+  } else {
+    job.input = { ...job.input, rssUrl: job.selection.rssUrl, episodeGuid: guid };
+  }
+  job.selection = null;
+  job.status = 'queued';
+  job.attempts = 0;
+  await persistJob(jobId, true);
+  enqueueJob(jobId);
+
+  res.json({ jobId, status: job.status });
+});
+
+// List the episodes in an RSS feed, so one can be chosen directly
+app.get('/api/feed/episodes', async (req, res) => {
+  const { rssUrl } = req.query;
+
+  if (!rssUrl || !/^https?:\/\//i.test(rssUrl)) {
+    return res.status(400).json({ error: 'A valid rssUrl is required' });
+  }
+
+  try {
+    const feed = await fetchFeed(rssUrl);
+    res.json({
+      title: feed.title || null,
+      episodes: feed.items.filter(item => item.enclosure?.url).map(describeFeedItem)
+    });
+  } catch (error) {
+    console.error('Error reading feed:', error.message);
+    res.status(502).json({ error: `Could not read RSS feed: ${error.message}` });
+  }
+});
+
+// Rank the feeds the directories return for a show, with the confidence of each. The publisher and an
+// episode title are optional and help tell apart shows with the same name.
+app.get('/api/feed/search', async (req, res) => {
+  const { podcast, publisher, episode } = req.query;
+
+  if (!podcast || typeof podcast !== 'string') {
+    return res.status(400).json({ error: 'podcast (the show name) is required' });
+  }
+
+  try {
+    const candidates = await rankFeedCandidates({ name: podcast, publisher, episodeTitle: episode });
+    res.json({ rssUrl: pickConfidentFeed(candidates)?.rssUrl || null, candidates });
+  } catch (error) {
+    console.error('Error searching for feeds:', error.message);
+    res.status(502).json({ error: `Could not search for feeds: ${error.message}` });
+  }
+});
+
+// Drop a cached feed (or every cached feed without rssUrl) so the next read downloads it again
+app.delete('/api/feed/cache', (req, res) => {
+  const { rssUrl } = req.query;
+  const removed = rssUrl ? Number(feedCache.delete(rssUrl)) : feedCache.size;
+
+  if (!rssUrl) {
+    feedCache.clear();
+  }
+  res.json({ removed });
+});
+
+// The show name -> feed URL lookups remembered by RSS feed discovery
+app.get('/api/feed/lookups', (req, res) => {
+  res.json([...feedLookups.values()].filter(lookup => lookup.expiresAt > Date.now()));
+});
+
+// Forget the feed found for a show (or every lookup without podcast), e.g. when discovery picked the wrong feed
+app.delete('/api/feed/lookups', async (req, res) => {
+  const { podcast } = req.query;
+  const removed = podcast ? Number(feedLookups.delete(getFeedLookupKey(podcast))) : feedLookups.size;
+
+  if (!podcast) {
+    feedLookups.clear();
+  }
+  await persistFeedLookups();
+  res.json({ removed });
 });
 
 // Get final result
 app.get('/api/result/:jobId', (req, res) => {
   const { jobId } = req.params;
-  const progress = progressStore.get(jobId);
+  const job = jobStore.get(jobId);
 
-  if (!progress) {
+  if (!job) {
     return res.status(404).json({ error: 'Job not found' });
   }
 
-  if (progress.result) {
-    // Clean up after sending result
-    setTimeout(() => progressStore.delete(jobId), 60000); // Clean up after 1 minute
-    return res.json(progress.result);
+  if (job.result) {
+    const { format = 'json' } = req.query;
+
+    if (format === 'json') {
+      return res.json(job.result);
+    }
+
+    if (format !== 'srt' && format !== 'vtt') {
+      return res.status(400).json({ error: 'Unsupported format. Use json, srt or vtt.' });
+    }
+
+    if (!job.result.segments || job.result.segments.length === 0) {
+      return res.status(422).json({ error: 'No segment timings are available for this transcript' });
+    }
+
+    const filename = (job.result.episode.title || 'transcript').replace(/[^a-z0-9]/gi, '-').toLowerCase();
+    res.attachment(`${filename}.${format}`);
+    if (format === 'srt') {
+      res.type('application/x-subrip');
+      return res.send(segmentsToSrt(job.result.segments));
+    }
+    res.type('text/vtt');
+    return res.send(segmentsToWebVtt(job.result.segments));
+  }
+
+  if (job.status === 'failed') {
+    return res.status(500).json({ error: job.error });
   }
 
-  if (progress.error) {
-    return res.status(500).json({ error: progress.error.message });
+  if (job.status === 'cancelled') {
+    return res.status(410).json({ error: job.error });
   }
 
   res.status(202).json({ message: 'Transcription still in progress' });
 });
 
+// Re-queue (or fail) jobs that were waiting or running when the server last stopped
+const recoverInterruptedJobs = async (interrupted) => {
+  for (const job of interrupted) {
+    // A batch whose episodes are queued just follows them; one that hadn't got that far starts over
+    if (isBatchJob(job)) {
+      if (job.batch?.episodes.length) {
+        scheduleBatchRefresh(job.id);
+      } else {
+        console.log(`[${job.id}] Restarting interrupted batch`);
+        runBatchJob(job.id).catch((error) => {
+          console.error(`[${job.id}] Unexpected batch error:`, error);
+        });
+      }
+      continue;
+    }
+
+    if (job.status === 'running' && (!RESUME_INTERRUPTED_JOBS || job.attempts >= JOB_MAX_ATTEMPTS)) {
+      console.log(`[${job.id}] Marking interrupted job as failed`);
+      await failJob(job.id, 'Job was interrupted by a server restart');
+      continue;
+    }
+
+    console.log(`[${job.id}] Re-queueing interrupted job`);
+    job.status = 'queued';
+    job.progress = {};
+    await persistJob(job.id, true);
+    enqueueJob(job.id);
+  }
+};
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Spotify Podcast Transcriber is running' });
+  res.json({ status: 'ok', message: 'Spotify Podcast Transcriber is running', maxUploadMB: MAX_UPLOAD_MB, batchMaxEpisodes: BATCH_MAX_EPISODES });
 });
 
 // Start server
 const startServer = async () => {
   await initTempDir();
-  app.listen(PORT, '0.0.0.0', () => {
+  const interruptedJobs = await loadJobs();
+  await loadResultCache();
+  await loadSubscriptions();
+  await loadFeedLookups();
+  await webhooks.load();
+  await pruneExpiredJobs(); // Once webhooks are loaded, as abandoned jobs notify their failure
+  setInterval(() => {
+    pruneExpiredJobs().catch((error) => {
+      console.error('Failed to prune expired jobs:', error);
+    });
+    evictCacheEntries();
+  }, 60 * 60 * 1000).unref();
+  setInterval(() => {
+    pollSubscriptions().catch((error) => {
+      console.error('Failed to check subscriptions:', error);
+    });
+  }, SUBSCRIPTION_POLL_MINUTES * 60 * 1000).unref();
+  const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`Make sure to set GROQ_API_KEY in .env file`);
+    console.log(`Transcription provider: ${transcriptionProvider.label} (max ${transcriptionProvider.maxFileSizeMB}MB per file, ${transcriptionProvider.concurrency} chunks at a time, ${transcriptionProvider.requestsPerMinute || 'unlimited'} requests/min)`);
+  });
+  // Exit when the port can't be bound (already in use, no permission)
+  server.on('error', (error) => {
+    console.error(`Failed to listen on port ${PORT}:`, error.message);
+    process.exit(1);
+  });
+  await recoverInterruptedJobs(interruptedJobs);
+
+  // Catch up on episodes published while the server was down
+  pollSubscriptions().catch((error) => {
+    console.error('Failed to check subscriptions:', error);
   });
 };
 
-startServer();
+startServer().catch((error) => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
+});
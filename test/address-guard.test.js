@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const axios = require('axios');
+const { isPublicAddress, lookupPublicAddress, assertPublicUrl } = require('../address-guard');
+
+// Local server standing in for a service on the server's own network
+let server;
+let port;
+
+before(async () => {
+  server = http.createServer((req, res) => res.end('internal'));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test('loopback, private, link-local and reserved addresses are not public', () => {
+  for (const address of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '224.0.0.1', '255.255.255.255',
+    '::1', '::', 'fd00::1', 'fe80::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe'
+  ]) {
+    assert.equal(isPublicAddress(address), false, address);
+  }
+});
+
+test('public addresses are allowed', () => {
+  for (const address of ['8.8.8.8', '93.184.215.14', '172.32.0.1', '192.169.0.1', '2606:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isPublicAddress(address), true, address);
+  }
+  assert.equal(isPublicAddress('not-an-address'), false);
+});
+
+test('URLs with a non-public IP address are refused, however the address is written', async () => {
+  for (const url of [
+    'http://169.254.169.254/latest/meta-data/',
+    'http://127.1/audio.mp3',
+    'http://2130706433/audio.mp3',
+    'http://0x7f000001/audio.mp3',
+    'https://[::1]/audio.mp3',
+    'http://[::ffff:10.0.0.1]/audio.mp3'
+  ]) {
+    await assert.rejects(assertPublicUrl(url), error => error.code === 'ENONPUBLIC', url);
+  }
+  await assertPublicUrl('https://93.184.215.14/audio.mp3');
+});
+
+test('names resolving to a non-public address are refused', async () => {
+  await assert.rejects(assertPublicUrl(`http://localhost:${port}/audio.mp3`), {
+    code: 'ENONPUBLIC',
+    message: /localhost resolves to a private or local address/
+  });
+
+  await new Promise((resolve) => {
+    lookupPublicAddress('localhost', { all: true }, (error) => {
+      assert.equal(error.code, 'ENONPUBLIC');
+      resolve();
+    });
+  });
+});
+
+test('requests made with the lookup never connect to a non-public address', async () => {
+  await assert.rejects(
+    axios.get(`http://localhost:${port}/`, { lookup: lookupPublicAddress, timeout: 2000 }),
+    error => error.code === 'ENONPUBLIC'
+  );
+
+  // The same request without the guard reaches the local server
+  const response = await axios.get(`http://localhost:${port}/`, { timeout: 2000 });
+  assert.equal(response.data, 'internal');
+});
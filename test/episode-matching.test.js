@@ -0,0 +1,140 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const Parser = require('rss-parser');
+const {
+  MATCH_MIN_SCORE,
+  durationToSeconds,
+  extractEpisodeNumber,
+  calculateMatchScore,
+  rankFeedItems
+} = require('../episode-matching');
+
+// Items of a recorded feed, parsed the way the server parses feeds
+const loadFeedItems = async (name) => {
+  const xml = await fs.readFile(path.join(__dirname, 'fixtures', 'feeds', name), 'utf8');
+  return (await new Parser().parseString(xml)).items;
+};
+
+const durationMs = (duration) => durationToSeconds(duration) * 1000;
+
+// Feed items by GUID, best match first
+const rankGuids = (items, episode) => rankFeedItems(items, episode).map(({ item }) => item.guid);
+
+test('extractEpisodeNumber reads the common title formats', () => {
+  assert.equal(extractEpisodeNumber('Episode 212: Debugging in Production'), 212);
+  assert.equal(extractEpisodeNumber('Ep. 21 - Debugging in Production'), 21);
+  assert.equal(extractEpisodeNumber('ep212 Mailbag'), 212);
+  assert.equal(extractEpisodeNumber('#45 - Slugs and snails'), 45);
+  assert.equal(extractEpisodeNumber('212: Mailbag'), 212);
+  assert.equal(extractEpisodeNumber('Bonus: Live Q&A from Episode 212'), 212);
+  assert.equal(extractEpisodeNumber('Mailbag'), null);
+  assert.equal(extractEpisodeNumber('Top 10 tomatoes for 2024'), null);
+  assert.equal(extractEpisodeNumber(undefined), null);
+});
+
+test('durationToSeconds accepts H:MM:SS, MM:SS and plain seconds', () => {
+  assert.equal(durationToSeconds('1:02:10'), 3730);
+  assert.equal(durationToSeconds('58:41'), 3521);
+  assert.equal(durationToSeconds('2700'), 2700);
+  assert.equal(durationToSeconds(3220), 3220);
+  assert.equal(durationToSeconds(undefined), 0);
+});
+
+test('a numbered episode beats its bonus follow-up, part 1 and the old episode 21', async () => {
+  const items = await loadFeedItems('numbered-show.xml');
+  const episode = { name: 'Episode 212: Debugging in Production', durationMs: durationMs('58:44'), releaseDate: '2024-03-07' };
+
+  const ranked = rankFeedItems(items, episode);
+  assert.equal(ranked[0].item.guid, 'weekly-build-212');
+  assert.ok(ranked[0].score.total >= MATCH_MIN_SCORE);
+  assert.deepEqual(
+    { duration: ranked[0].score.duration, date: ranked[0].score.date, episodeNumber: ranked[0].score.episodeNumber },
+    { duration: 0.3, date: 0.3, episodeNumber: 0.3 }
+  );
+
+  const scoreOf = (guid) => ranked.find(({ item }) => item.guid === guid).score;
+
+  // The bonus names episode 212 and came out two days later, but is a third of the length
+  const bonus = scoreOf('weekly-build-212-bonus');
+  assert.equal(bonus.episodeNumber, 0.3);
+  assert.equal(bonus.date, 0.1);
+  assert.equal(bonus.duration, -0.2);
+
+  // Part 1 has a near-identical title but the wrong itunes:episode number
+  const partOne = scoreOf('weekly-build-211');
+  assert.equal(partOne.episodeNumber, -0.3);
+  assert.ok(partOne.total < ranked[0].score.total - 0.5);
+
+  // Episode 21 shares the title's digits and topic, two years earlier
+  const oldEpisode = scoreOf('weekly-build-21');
+  assert.equal(oldEpisode.episodeNumber, -0.3);
+  assert.equal(oldEpisode.date, -0.2);
+  assert.ok(oldEpisode.total < MATCH_MIN_SCORE);
+});
+
+test('without a number in the Spotify title, date and duration pick the numbered episode', async () => {
+  const items = await loadFeedItems('numbered-show.xml');
+  const episode = { name: 'Debugging in Production', durationMs: durationMs('58:40'), releaseDate: '2024-03-07' };
+
+  const ranked = rankFeedItems(items, episode);
+  assert.equal(ranked[0].item.guid, 'weekly-build-212');
+  assert.equal(ranked[0].score.episodeNumber, 0);
+  assert.ok(ranked[0].score.total >= MATCH_MIN_SCORE);
+});
+
+test('an episode missing from the feed is not matched to its neighbours', async () => {
+  const items = await loadFeedItems('numbered-show.xml');
+  const episode = { name: 'Episode 214: Testing Legacy Code', durationMs: durationMs('1:00:00'), releaseDate: '2024-03-21' };
+
+  const [best] = rankFeedItems(items, episode);
+  assert.ok(best.score.total < MATCH_MIN_SCORE, `best was "${best.item.title}" at ${best.score.total.toFixed(2)}`);
+});
+
+test('identical "Mailbag" titles are told apart by date and duration', async () => {
+  const items = await loadFeedItems('mailbag-show.xml');
+
+  const latest = { name: 'Mailbag', durationMs: durationMs('41:12'), releaseDate: '2024-05-20' };
+  assert.deepEqual(rankGuids(items, latest).slice(0, 3), ['atg-2024-05-20', 'atg-2024-05-06', 'atg-2024-05-13']);
+
+  // The mailbags a week either side get no date or duration bonus
+  const previous = { name: 'Mailbag', durationMs: durationMs('39:48'), releaseDate: '2024-05-13' };
+  const ranked = rankFeedItems(items, previous);
+  assert.equal(ranked[0].item.guid, 'atg-2024-05-13');
+  assert.ok(ranked[0].score.total - ranked[1].score.total >= 0.3);
+});
+
+test('a short extra published the next day does not beat the mailbag it follows', async () => {
+  const items = await loadFeedItems('mailbag-show.xml');
+  const episode = { name: 'Mailbag', durationMs: durationMs('41:12'), releaseDate: '2024-05-20' };
+
+  const extra = calculateMatchScore(items.find(item => item.guid === 'atg-2024-05-21-extra'), episode);
+  const mailbag = calculateMatchScore(items.find(item => item.guid === 'atg-2024-05-20'), episode);
+  assert.equal(extra.duration, -0.2);
+  assert.ok(extra.total < mailbag.total - 0.5);
+});
+
+test('a rerun with the original title is matched by its own date and length', async () => {
+  const items = await loadFeedItems('rerun-show.xml');
+
+  const rerun = { name: 'The Fall of Constantinople', durationMs: 3220 * 1000, releaseDate: '2024-05-29' };
+  const rerunRanking = rankFeedItems(items, rerun);
+  assert.equal(rerunRanking[0].item.guid, 'history-hour-rerun-2024-05-29');
+  assert.equal(rerunRanking[1].item.guid, 'history-hour-2021-05-29');
+  assert.equal(rerunRanking[1].score.date, -0.2);
+
+  const original = { name: 'The Fall of Constantinople', durationMs: 3131 * 1000, releaseDate: '2021-05-29' };
+  const originalRanking = rankFeedItems(items, original);
+  assert.equal(originalRanking[0].item.guid, 'history-hour-2021-05-29');
+  assert.equal(originalRanking[1].item.guid, 'history-hour-rerun-2024-05-29');
+  assert.equal(originalRanking[1].score.date, -0.2);
+});
+
+test('a similar title from another episode stays below the match threshold', async () => {
+  const items = await loadFeedItems('rerun-show.xml');
+  const episode = { name: 'The Fall of Carthage', durationMs: 3300 * 1000, releaseDate: '2024-08-12' };
+
+  const [best] = rankFeedItems(items, episode);
+  assert.ok(best.score.total < MATCH_MIN_SCORE, `best was "${best.item.title}" at ${best.score.total.toFixed(2)}`);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findExpiredJobs, getAbandonedJobMessage } = require('../job-expiry');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+
+// A stored job last updated the given number of hours before NOW
+const job = (id, status, hoursAgo, extra = {}) => ({
+  id,
+  status,
+  complete: ['completed', 'failed', 'cancelled'].includes(status),
+  updatedAt: NOW - hoursAgo * HOUR,
+  ...extra
+});
+
+const ids = (jobs) => jobs.map(({ id }) => id);
+
+test('finished jobs of every kind are removed once the retention period has passed', () => {
+  const jobs = [
+    job('completed-old', 'completed', 200),
+    job('failed-old', 'failed', 169),
+    job('cancelled-old', 'cancelled', 500),
+    job('completed-recent', 'completed', 167),
+    job('failed-recent', 'failed', 1)
+  ];
+
+  const { remove, abandon } = findExpiredJobs(jobs, 168 * HOUR, NOW);
+  assert.deepEqual(ids(remove), ['completed-old', 'failed-old', 'cancelled-old']);
+  assert.deepEqual(abandon, []);
+});
+
+test('jobs left awaiting a selection are abandoned, not kept forever', () => {
+  const jobs = [
+    job('episode-choice-old', 'awaiting_selection', 169, { selection: { type: 'episode' } }),
+    job('feed-choice-old', 'awaiting_selection', 1000, { selection: { type: 'feed' } }),
+    job('episode-choice-recent', 'awaiting_selection', 2, { selection: { type: 'episode' } })
+  ];
+
+  const { remove, abandon } = findExpiredJobs(jobs, 168 * HOUR, NOW);
+  assert.deepEqual(ids(abandon), ['episode-choice-old', 'feed-choice-old']);
+  assert.deepEqual(remove, []);
+
+  assert.equal(getAbandonedJobMessage(abandon[0], 168), 'No episode was chosen within 168 hours');
+  assert.equal(getAbandonedJobMessage(abandon[1], 168), 'No feed was chosen within 168 hours');
+});
+
+test('queued and running jobs never expire', () => {
+  const jobs = [job('queued', 'queued', 1000), job('running', 'running', 1000)];
+  assert.deepEqual(findExpiredJobs(jobs, 168 * HOUR, NOW), { remove: [], abandon: [] });
+});
+
+test('an abandoned job is removed once its failure has been kept for the retention period', () => {
+  const waiting = job('waiting', 'awaiting_selection', 200, { selection: { type: 'episode' } });
+  assert.deepEqual(ids(findExpiredJobs([waiting], 168 * HOUR, NOW).abandon), ['waiting']);
+
+  // Failing the job marks it finished and updates it
+  const failed = { ...waiting, status: 'failed', complete: true, updatedAt: NOW };
+  assert.deepEqual(findExpiredJobs([failed], 168 * HOUR, NOW), { remove: [], abandon: [] });
+  assert.deepEqual(ids(findExpiredJobs([failed], 168 * HOUR, NOW + 169 * HOUR).remove), ['waiting']);
+});
@@ -0,0 +1,156 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const path = require('path');
+const { createEpisodeResolvers } = require('../resolvers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'resolvers');
+
+// An http client answering from the recorded responses in fixtures/resolvers, keyed by URL and query.
+// Error statuses reject the way axios does; a request with no recording fails the test.
+const createRecordedHttp = async () => {
+  const recordings = JSON.parse(await fs.readFile(path.join(FIXTURES_DIR, 'recordings.json'), 'utf8'));
+  const requests = [];
+
+  const respond = async (url, params) => {
+    const key = params ? `${url}?${new URLSearchParams(params)}` : url;
+    requests.push(key);
+    const recording = recordings[key];
+    if (!recording) {
+      throw new Error(`No recording for ${key}`);
+    }
+    const body = await fs.readFile(path.join(FIXTURES_DIR, recording.file), 'utf8');
+    if (recording.status >= 400) {
+      throw Object.assign(new Error(`Request failed with status code ${recording.status}`), {
+        response: { status: recording.status, data: body }
+      });
+    }
+    return body;
+  };
+
+  return {
+    requests,
+    getText: (url) => respond(url),
+    getJson: async (url, { params } = {}) => JSON.parse(await respond(url, params))
+  };
+};
+
+// The resolver with the given name, making its requests through the recordings
+const createResolver = async (name) => {
+  const http = await createRecordedHttp();
+  const resolver = createEpisodeResolvers(http).find(candidate => candidate.name === name);
+  return { resolver, http };
+};
+
+test('Apple Podcasts: an episode is found with its feed, GUID and audio from the iTunes lookup', async () => {
+  const { resolver, http } = await createResolver('apple');
+  const url = 'https://podcasts.apple.com/us/podcast/episode-212-debugging-in-production/id1500000001?i=1000648000212';
+
+  assert.ok(resolver.matches(url));
+  assert.equal(resolver.getEpisodeId(url), '1000648000212');
+  assert.deepEqual(await resolver.resolve(url), {
+    title: 'Episode 212: Debugging in Production',
+    podcast: 'The Weekly Build',
+    durationMs: 3521000,
+    releaseDate: '2024-03-07T05:00:00Z',
+    rssUrl: 'https://feeds.example.com/weeklybuild.xml',
+    guid: 'weekly-build-212',
+    audioUrl: 'https://media.example.com/weeklybuild/212.mp3'
+  });
+  assert.deepEqual(http.requests, ['https://itunes.apple.com/lookup?id=1500000001&entity=podcastEpisode&limit=200']);
+});
+
+test('Apple Podcasts: an episode older than the lookup falls back to the title in the link', async () => {
+  const { resolver } = await createResolver('apple');
+  const url = 'https://podcasts.apple.com/us/podcast/episode-100-our-first-outage/id1500000001?i=1000648000100';
+
+  assert.deepEqual(await resolver.resolve(url), {
+    title: 'episode 100 our first outage',
+    podcast: 'The Weekly Build',
+    rssUrl: 'https://feeds.example.com/weeklybuild.xml'
+  });
+});
+
+test('Apple Podcasts: a show the lookup does not know resolves to null', async () => {
+  const { resolver } = await createResolver('apple');
+  const url = 'https://podcasts.apple.com/us/podcast/gone/id1500000099?i=1000999000001';
+
+  assert.equal(await resolver.resolve(url), null);
+});
+
+test('Apple Podcasts: show links are rejected before any request', async () => {
+  const { resolver, http } = await createResolver('apple');
+  assert.throws(() => resolver.getEpisodeId('https://podcasts.apple.com/us/podcast/the-weekly-build/id1500000001'), /link is for a show/);
+  assert.deepEqual(http.requests, []);
+});
+
+test('Overcast: the share page gives the episode, and its iTunes link the feed', async () => {
+  const { resolver, http } = await createResolver('overcast');
+  const url = 'https://overcast.fm/+ABcdEF123';
+
+  assert.ok(resolver.matches(url));
+  assert.equal(resolver.getEpisodeId(url), 'ABcdEF123');
+  assert.deepEqual(await resolver.resolve(url), {
+    title: 'Episode 212: Debugging in Production',
+    podcast: 'The Weekly Build',
+    releaseDate: 'March 7, 2024',
+    rssUrl: 'https://feeds.example.com/weeklybuild.xml',
+    audioUrl: 'https://media.example.com/weeklybuild/212.mp3'
+  });
+  assert.deepEqual(http.requests, [url, 'https://itunes.apple.com/lookup?id=1500000001&entity=podcastEpisode&limit=200']);
+});
+
+test('Overcast: a removed episode (404) resolves to null', async () => {
+  const { resolver } = await createResolver('overcast');
+  assert.equal(await resolver.resolve('https://overcast.fm/+ZZzzZZ999'), null);
+});
+
+test('Pocket Casts: a share page with JSON-LD gives the episode, and its Apple link the feed', async () => {
+  const { resolver, http } = await createResolver('pocketcasts');
+  const url = 'https://pca.st/episode/0f6a6b5e-8c39-4a52-9a6e-2d1b5b7f3e20';
+
+  assert.ok(resolver.matches(url));
+  assert.equal(resolver.getEpisodeId(url), '0f6a6b5e-8c39-4a52-9a6e-2d1b5b7f3e20');
+  assert.deepEqual(await resolver.resolve(url), {
+    title: 'Mailbag',
+    podcast: 'Ask the Gardener',
+    releaseDate: '2024-05-20',
+    rssUrl: 'https://feeds.example.org/askthegardener',
+    audioUrl: 'https://cdn.example.org/atg/2024-05-20.mp3'
+  });
+  assert.deepEqual(http.requests, [url, 'https://itunes.apple.com/lookup?id=1600000002&entity=podcastEpisode&limit=200']);
+});
+
+test('Pocket Casts: a page with only Open Graph tags is read from its title and feed link', async () => {
+  const { resolver, http } = await createResolver('pocketcasts');
+  const url = 'https://pocketcasts.com/podcast/history-hour/3b0e1e9a-5d8c-4f0e-b7a4-1c2d3e4f5a6b/the-fall-of-constantinople/8e7d6c5b-4a39-4281-9f0e-1d2c3b4a5f60';
+
+  assert.equal(resolver.getEpisodeId(url), '8e7d6c5b-4a39-4281-9f0e-1d2c3b4a5f60');
+  assert.deepEqual(await resolver.resolve(url), {
+    title: 'The Fall of Constantinople',
+    podcast: 'History Hour',
+    releaseDate: null,
+    rssUrl: 'https://feeds.example.net/history-hour.rss',
+    audioUrl: 'https://audio.example.net/history-hour/constantinople-encore.mp3'
+  });
+  assert.deepEqual(http.requests, [url]);
+});
+
+test('Pocket Casts: a missing episode (404) resolves to null', async () => {
+  const { resolver } = await createResolver('pocketcasts');
+  assert.equal(await resolver.resolve('https://pca.st/episode/00000000-0000-4000-8000-000000000000'), null);
+});
+
+test('other request failures are passed on', async () => {
+  const { resolver } = await createResolver('overcast');
+  await assert.rejects(resolver.resolve('https://overcast.fm/+NotRecorded'), /No recording/);
+});
+
+test('links that are not strings match no resolver', async () => {
+  const http = await createRecordedHttp();
+  for (const resolver of createEpisodeResolvers(http)) {
+    for (const url of [['https://open.spotify.com/episode/abc'], { href: 'https://overcast.fm/+ABcdEF123' }, 42, null]) {
+      assert.equal(resolver.matches(url), false, `${resolver.name} matched ${JSON.stringify(url)}`);
+    }
+  }
+});
@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findOverlapAlignment, mergeTranscriptions } = require('../transcript-merge');
+
+// Whisper-style segment, relative to the start of its chunk
+const seg = (start, end, text) => ({ start, end, text });
+
+// Chunk transcription with segments, or text only when given a string
+const transcription = (content) => typeof content === 'string'
+  ? { text: content }
+  : { text: content.map(segment => segment.text).join(' '), segments: content };
+
+const words = (text) => text.split(' ').map(word => ({ word }));
+
+test('findOverlapAlignment finds the longest shared run, ignoring case and punctuation', () => {
+  const alignment = findOverlapAlignment(
+    words('so that was the news and now over to the weather desk'),
+    words('Now, over to the weather desk. Thanks Sam')
+  );
+  assert.deepEqual(alignment, { length: 6, previousEnd: 12, nextEnd: 6 });
+});
+
+test('findOverlapAlignment matches accented and non-Latin words', () => {
+  assert.deepEqual(findOverlapAlignment(
+    words('et voilà, ça été très économique pour nous'),
+    // "été" and "très" with combining accents, as some transcripts spell them
+    words('Ça e\u0301te\u0301 tre\u0300s économique pour nous. Merci')
+  ), { length: 6, previousEnd: 8, nextEnd: 6 });
+
+  assert.deepEqual(findOverlapAlignment(
+    words('и вот мы говорим о погоде сегодня утром'),
+    words('Мы говорим о погоде, сегодня утром. Спасибо')
+  ), { length: 6, previousEnd: 8, nextEnd: 6 });
+});
+
+test('findOverlapAlignment ignores matches shorter than four words', () => {
+  assert.equal(findOverlapAlignment(words('we talked about the weather'), words('about the cricket today')), null);
+});
+
+test('an aligned overlap keeps the shared words once', () => {
+  const merged = mergeTranscriptions([
+    transcription([seg(0, 580, 'welcome to the show'), seg(580, 600, 'today we are talking about bread')]),
+    transcription([seg(0, 10, 'are talking about bread'), seg(10, 30, 'and why it rises')])
+  ], [
+    { startTime: 0, overlapSeconds: 0 },
+    { startTime: 590, overlapSeconds: 10 }
+  ]);
+
+  assert.equal(merged.text, 'welcome to the show today we are talking about bread and why it rises');
+  assert.deepEqual(merged.segments, [
+    { start: 0, end: 580, text: 'welcome to the show' },
+    { start: 580, end: 600, text: 'today we are talking about bread' },
+    { start: 600, end: 620, text: 'and why it rises' }
+  ]);
+});
+
+test('an aligned overlap in another language keeps the shared words once', () => {
+  const merged = mergeTranscriptions([
+    transcription([seg(0, 580, 'добро пожаловать'), seg(580, 600, 'сегодня мы говорим о хлебе')]),
+    transcription([seg(0, 10, 'Мы говорим о хлебе,'), seg(10, 30, 'и почему он поднимается')])
+  ], [
+    { startTime: 0, overlapSeconds: 0 },
+    { startTime: 590, overlapSeconds: 10 }
+  ]);
+
+  assert.equal(merged.text, 'добро пожаловать сегодня мы говорим о хлебе и почему он поднимается');
+});
+
+test('without alignment, segments are cut word by word in the middle of the overlap', () => {
+  const merged = mergeTranscriptions([
+    transcription([seg(580, 600, 'one two three')]),
+    transcription([seg(0, 30, 'brand new words here')])
+  ], [
+    { startTime: 0, overlapSeconds: 0 },
+    { startTime: 590, overlapSeconds: 10 }
+  ]);
+
+  // The cut is at 595s: "three" (593.3s) comes before it, "brand" (590s) is the repeated copy's
+  assert.equal(merged.text, 'one two three new words here');
+  assert.deepEqual(merged.segments.map(segment => segment.text), ['one two three', 'new words here']);
+  assert.equal(merged.segments[1].start, 600); // "new" starts at 597.5s, clamped to the end of "one two three"
+  assert.equal(merged.segments[1].end, 620);
+});
+
+test('without alignment or segments, an estimated number of words is dropped', () => {
+  const merged = mergeTranscriptions([
+    transcription('first chunk text'),
+    transcription('a b c d e f g h i j k l m n o p q r s t the rest')
+  ], [
+    { startTime: 0, overlapSeconds: 0 },
+    { startTime: 590, overlapSeconds: 10 }
+  ]);
+
+  assert.equal(merged.text, 'first chunk text the rest');
+  assert.deepEqual(merged.segments, []);
+});
+
+test('a text-only chunk followed by segmented chunks that do not align is merged', () => {
+  const merged = mergeTranscriptions([
+    transcription('an opening chunk with no timestamps'),
+    transcription([seg(0, 10, 'repeated start'), seg(10, 30, 'middle part')]),
+    transcription([seg(0, 5, 'recap'), seg(5, 20, 'closing words')])
+  ], [
+    { startTime: 0, overlapSeconds: 0 },
+    { startTime: 590, overlapSeconds: 10 },
+    { startTime: 1180, overlapSeconds: 10 }
+  ]);
+
+  // The first chunk has no timestamps, so the second drops the whole overlap (up to 600s);
+  // the second and third are both timed and cut at 1185s
+  assert.equal(merged.text, 'an opening chunk with no timestamps middle part closing words');
+  assert.deepEqual(merged.segments, [
+    { start: 600, end: 620, text: 'middle part' },
+    { start: 1185, end: 1200, text: 'closing words' }
+  ]);
+});
+
+test('a segmented chunk followed by a text-only chunk keeps the overlap from the later chunk', () => {
+  const merged = mergeTranscriptions([
+    transcription([seg(0, 580, 'earlier talk'), seg(580, 600, 'and the end')]),
+    transcription('something else entirely here')
+  ], [
+    { startTime: 0, overlapSeconds: 0 },
+    { startTime: 590, overlapSeconds: 10 }
+  ]);
+
+  assert.equal(merged.text, 'earlier talk and the something else entirely here');
+});
+
+test('chunks cut in a silence are joined without dropping anything', () => {
+  const merged = mergeTranscriptions([
+    transcription([seg(0, 597, 'the first half ends here')]),
+    transcription([seg(0, 20, 'the first half ends here again')]),
+    transcription('and a text-only ending')
+  ], [
+    { startTime: 0, overlapSeconds: 0 },
+    { startTime: 597.5, overlapSeconds: 0 },
+    { startTime: 1203, overlapSeconds: 0 }
+  ]);
+
+  assert.equal(merged.text, 'the first half ends here the first half ends here again and a text-only ending');
+  assert.deepEqual(merged.segments, [
+    { start: 0, end: 597, text: 'the first half ends here' },
+    { start: 597.5, end: 617.5, text: 'the first half ends here again' }
+  ]);
+});
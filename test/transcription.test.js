@@ -0,0 +1,226 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const {
+  createGroqProvider,
+  createOpenAiCompatibleProvider,
+  createRequestBudget,
+  getRetryAfterMs,
+  getRetryDelayMs,
+  transcribeWithRetries
+} = require('../transcription');
+
+const TRANSCRIPTION = { text: 'hello there', segments: [{ start: 0, end: 1.5, text: 'hello there' }] };
+const RETRIES = { maxRetries: 3, retryBaseMs: 20, retryMaxMs: 1000 };
+
+// Stub transcription API: each request gets the next queued reply; once they run out, a transcription
+let server;
+let baseUrl;
+let replies = [];
+let requests = [];
+let audioPath;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests.push({ url: req.url, at: Date.now() });
+    req.resume();
+    req.on('end', () => {
+      const reply = replies.shift() || { status: 200, body: TRANSCRIPTION };
+      setTimeout(() => {
+        if (res.destroyed) return;
+        res.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+        res.end(JSON.stringify(reply.body || { error: { message: `status ${reply.status}` } }));
+      }, reply.delayMs || 0);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  audioPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'transcription-test-')), 'chunk.mp3');
+  await fs.writeFile(audioPath, Buffer.alloc(1024));
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(path.dirname(audioPath), { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  replies = [];
+  requests = [];
+});
+
+const createProvider = (timeoutMs = 2000) => createOpenAiCompatibleProvider({ baseUrl, model: 'whisper-1', language: 'en', timeoutMs });
+
+const transcribe = (provider, options = {}) => transcribeWithRetries(provider, createRequestBudget(0), audioPath, {
+  description: 'test audio',
+  retries: RETRIES,
+  ...options
+});
+
+test('a transcription is returned from the first successful request', async () => {
+  const result = await transcribe(createProvider());
+  assert.deepEqual(result, TRANSCRIPTION);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, '/audio/transcriptions');
+});
+
+test('Retry-After on a 429 is waited out before retrying', async () => {
+  replies = [{ status: 429, headers: { 'Retry-After': '1' } }];
+  const result = await transcribe(createProvider());
+
+  assert.deepEqual(result, TRANSCRIPTION);
+  assert.equal(requests.length, 2);
+  assert.ok(requests[1].at - requests[0].at >= 950, `retried after ${requests[1].at - requests[0].at}ms`);
+});
+
+test('server errors are retried with growing delays', async () => {
+  replies = [{ status: 500 }, { status: 503 }, { status: 502 }];
+  const result = await transcribe(createProvider());
+
+  assert.deepEqual(result, TRANSCRIPTION);
+  assert.equal(requests.length, 4);
+  const gaps = requests.slice(1).map((request, i) => request.at - requests[i].at);
+  // 20ms, 40ms and 80ms, each plus up to 25% jitter
+  assert.ok(gaps[0] >= 18, `first retry after ${gaps[0]}ms`);
+  assert.ok(gaps[1] >= 38, `second retry after ${gaps[1]}ms`);
+  assert.ok(gaps[2] >= 78, `third retry after ${gaps[2]}ms`);
+});
+
+test('the last error is thrown once the retries run out', async () => {
+  replies = [{ status: 500 }, { status: 500 }, { status: 500 }, { status: 500 }];
+  await assert.rejects(transcribe(createProvider()), error => error.response?.status === 500);
+  assert.equal(requests.length, 4);
+});
+
+test('other 4xx responses are not retried', async () => {
+  replies = [{ status: 400 }];
+  await assert.rejects(transcribe(createProvider()), error => error.response?.status === 400);
+  assert.equal(requests.length, 1);
+
+  replies = [{ status: 401 }];
+  await assert.rejects(transcribe(createProvider()), error => error.response?.status === 401);
+  assert.equal(requests.length, 2);
+});
+
+test('timed-out requests are retried', async () => {
+  replies = [{ status: 200, body: TRANSCRIPTION, delayMs: 500 }];
+  const result = await transcribe(createProvider(100));
+
+  assert.deepEqual(result, TRANSCRIPTION);
+  assert.equal(requests.length, 2);
+});
+
+test('the Groq provider can be pointed at another server', async () => {
+  replies = [{ status: 429, headers: { 'Retry-After': '0' } }, { status: 400 }];
+  const provider = createGroqProvider({ apiKey: 'test', baseURL: baseUrl, language: 'en', timeoutMs: 2000 });
+
+  await assert.rejects(transcribe(provider), error => error.status === 400);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].url, '/openai/v1/audio/transcriptions');
+
+  const result = await transcribe(provider);
+  assert.equal(result.text, TRANSCRIPTION.text);
+});
+
+test('Groq timeouts are retried', async () => {
+  replies = [{ status: 200, body: TRANSCRIPTION, delayMs: 500 }];
+  const provider = createGroqProvider({ apiKey: 'test', baseURL: baseUrl, language: 'en', timeoutMs: 100 });
+
+  const result = await transcribe(provider);
+  assert.equal(result.text, TRANSCRIPTION.text);
+  assert.equal(requests.length, 2);
+});
+
+test('a cancelled job stops retrying', async () => {
+  replies = [{ status: 500 }, { status: 500 }];
+  const abortController = new AbortController();
+  const transcription = transcribe(createProvider(), {
+    signal: abortController.signal,
+    retries: { ...RETRIES, retryBaseMs: 5000 }
+  });
+  setTimeout(() => abortController.abort(), 100);
+
+  await assert.rejects(transcription, /Job cancelled/);
+  assert.equal(requests.length, 1);
+});
+
+test('retry delays double from the base, with at most 25% jitter, up to the cap', () => {
+  const options = { retryBaseMs: 1000, retryMaxMs: 10000 };
+  const error = new Error('server error');
+
+  assert.equal(getRetryDelayMs(error, 0, options, () => 0), 1000);
+  assert.equal(getRetryDelayMs(error, 0, options, () => 1), 1250);
+  assert.equal(getRetryDelayMs(error, 2, options, () => 0), 4000);
+  assert.equal(getRetryDelayMs(error, 2, options, () => 1), 5000);
+  assert.equal(getRetryDelayMs(error, 6, options, () => 0), 10000);
+  assert.equal(getRetryDelayMs(error, 6, options, () => 1), 12500);
+
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const backoffMs = Math.min(1000 * 2 ** attempt, 10000);
+    const delayMs = getRetryDelayMs(error, attempt, options);
+    assert.ok(delayMs >= backoffMs && delayMs <= backoffMs * 1.25, `attempt ${attempt}: ${delayMs}ms`);
+  }
+});
+
+test('Retry-After is read as seconds or an HTTP date, and replaces the backoff', () => {
+  const options = { retryBaseMs: 1000, retryMaxMs: 10000 };
+  const inSeconds = { response: { headers: { 'retry-after': '7' } } };
+  assert.equal(getRetryAfterMs(inSeconds), 7000);
+  assert.equal(getRetryDelayMs(inSeconds, 3, options), 7000);
+
+  const asDate = { headers: new Headers({ 'retry-after': new Date(Date.now() + 30000).toUTCString() }) };
+  const delayMs = getRetryAfterMs(asDate);
+  assert.ok(delayMs > 28000 && delayMs <= 30000, `${delayMs}ms`);
+
+  assert.equal(getRetryAfterMs({ response: { headers: {} } }), null);
+  assert.equal(getRetryAfterMs({ response: { headers: { 'retry-after': 'soon' } } }), null);
+});
+
+test('the request budget holds back requests beyond its limit until the window moves on', async () => {
+  const budget = createRequestBudget(2, { windowMs: 300 });
+  const startedAt = Date.now();
+  const grantedAt = [];
+
+  await Promise.all([0, 1, 2, 3].map(i => budget.acquire().then(() => {
+    grantedAt[i] = Date.now() - startedAt;
+  })));
+
+  assert.ok(grantedAt[0] < 100 && grantedAt[1] < 100, `first two after ${grantedAt[0]}ms and ${grantedAt[1]}ms`);
+  assert.ok(grantedAt[2] >= 290 && grantedAt[3] >= 290, `last two after ${grantedAt[2]}ms and ${grantedAt[3]}ms`);
+  assert.ok(grantedAt[2] <= grantedAt[3], 'requests are granted in arrival order');
+});
+
+test('requests made through the budget are spread across windows', async () => {
+  const budget = createRequestBudget(1, { windowMs: 200 });
+  const provider = createProvider();
+
+  await Promise.all([0, 1, 2].map(() => transcribeWithRetries(provider, budget, audioPath, { description: 'chunk', retries: RETRIES })));
+
+  assert.equal(requests.length, 3);
+  assert.ok(requests[1].at - requests[0].at >= 190, `second request after ${requests[1].at - requests[0].at}ms`);
+  assert.ok(requests[2].at - requests[1].at >= 190, `third request after ${requests[2].at - requests[1].at}ms`);
+});
+
+test('an aborted caller does not use up the budget', async () => {
+  const budget = createRequestBudget(1, { windowMs: 300 });
+  const abortController = new AbortController();
+  abortController.abort();
+
+  await assert.rejects(budget.acquire(abortController.signal), /Job cancelled/);
+
+  const startedAt = Date.now();
+  await budget.acquire();
+  assert.ok(Date.now() - startedAt < 100, `granted after ${Date.now() - startedAt}ms`);
+});
+
+test('an unlimited budget never waits', async () => {
+  const budget = createRequestBudget(0);
+  const startedAt = Date.now();
+  await Promise.all(Array.from({ length: 50 }, () => budget.acquire()));
+  assert.ok(Date.now() - startedAt < 100);
+});
@@ -0,0 +1,315 @@
+const { test, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { signWebhookBody, createWebhookNotifier } = require('../webhooks');
+
+const SECRET = 'receiver-shared-secret';
+
+// Local receiver: records every request, and answers each with the next queued reply (200 once they run out)
+let receiver;
+let receiverUrl;
+let received = [];
+let replies = [];
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body, at: Date.now() });
+      const reply = replies.shift() || { status: 200 };
+      setTimeout(() => {
+        if (res.destroyed) return;
+        res.writeHead(reply.status);
+        res.end();
+      }, reply.delayMs || 0);
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(async () => {
+  receiver.closeAllConnections();
+  await new Promise(resolve => receiver.close(resolve));
+});
+
+// A notifier with its own data directories, retrying quickly
+let dataDir;
+const notifiers = [];
+
+const createNotifier = (options = {}) => {
+  const notifier = createWebhookNotifier({
+    endpointsDir: path.join(dataDir, 'webhooks'),
+    deliveriesDir: path.join(dataDir, 'webhook-deliveries'),
+    timeoutMs: 200,
+    maxAttempts: 3,
+    retryBaseMs: 50,
+    retryMaxMs: 1000,
+    deliveryLogLimit: 200,
+    ...options
+  });
+  notifiers.push(notifier);
+  return notifier;
+};
+
+const createEndpoint = (id, events, secret = SECRET) => ({
+  id,
+  url: `${receiverUrl}/${id}`,
+  description: null,
+  events,
+  secret,
+  source: 'api',
+  createdAt: Date.now(),
+  updatedAt: Date.now()
+});
+
+// Wait until a delivery has been delivered or has failed
+const waitForDelivery = async (notifier, deliveryId) => {
+  const deadline = Date.now() + 5000;
+  while (notifier.getDelivery(deliveryId)?.status === 'pending') {
+    if (Date.now() > deadline) throw new Error(`Delivery ${deliveryId} is still pending`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return notifier.getDelivery(deliveryId);
+};
+
+const readLoggedDelivery = async (deliveryId) => {
+  return JSON.parse(await fs.readFile(path.join(dataDir, 'webhook-deliveries', `${deliveryId}.json`), 'utf8'));
+};
+
+const MESSAGE = { subject: 'Summary: Episode 212', body: '### TL;DR\n\nDebugging in production.', data: { jobId: 'job-1' } };
+
+beforeEach(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhooks-test-'));
+  received = [];
+  replies = [];
+});
+
+afterEach(async () => {
+  notifiers.splice(0).forEach(notifier => notifier.stop());
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test('deliveries are signed with an HMAC of the timestamp and body', async () => {
+  const notifier = createNotifier();
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('signed', ['job.completed']));
+  await notifier.addEndpoint(createEndpoint('unsigned', ['job.completed'], null));
+
+  const deliveries = await notifier.notify('job.completed', MESSAGE);
+  await Promise.all(deliveries.map(delivery => waitForDelivery(notifier, delivery.id)));
+
+  const signed = received.find(request => request.path === '/signed');
+  const { headers, body } = signed;
+  assert.equal(headers['content-type'], 'application/json');
+  assert.equal(headers['x-webhook-event'], 'job.completed');
+  assert.equal(headers['x-webhook-delivery'], deliveries.find(delivery => delivery.endpointId === 'signed').id);
+
+  const expected = crypto.createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+  assert.equal(headers['x-webhook-signature'], `sha256=${signWebhookBody(SECRET, headers['x-webhook-timestamp'], body)}`);
+  assert.ok(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000) < 5);
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.event, 'job.completed');
+  assert.equal(payload.subject, MESSAGE.subject);
+  assert.equal(payload.body, MESSAGE.body);
+  assert.equal(payload.format, 'markdown');
+  assert.deepEqual(payload.data, MESSAGE.data);
+
+  const unsigned = received.find(request => request.path === '/unsigned');
+  assert.equal(unsigned.headers['x-webhook-signature'], undefined);
+  assert.equal(JSON.parse(unsigned.body).id, payload.id, 'both endpoints get the same event');
+});
+
+test('5xx responses are retried with doubling delays until delivered', async () => {
+  replies = [{ status: 500 }, { status: 503 }];
+  const notifier = createNotifier();
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('flaky', ['job.failed']));
+
+  const [delivery] = await notifier.notify('job.failed', MESSAGE);
+  const settled = await waitForDelivery(notifier, delivery.id);
+
+  assert.equal(settled.status, 'delivered');
+  assert.deepEqual(settled.attempts.map(attempt => attempt.status), [500, 503, 200]);
+  assert.equal(received.length, 3);
+  assert.ok(received[1].at - received[0].at >= 45, `first retry after ${received[1].at - received[0].at}ms`);
+  assert.ok(received[2].at - received[1].at >= 95, `second retry after ${received[2].at - received[1].at}ms`);
+  assert.equal(new Set(received.map(request => request.headers['x-webhook-delivery'])).size, 1, 'retries keep the delivery id');
+});
+
+test('timed-out attempts are retried', async () => {
+  replies = [{ status: 200, delayMs: 500 }];
+  const notifier = createNotifier();
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('slow', ['job.completed']));
+
+  const [delivery] = await notifier.notify('job.completed', MESSAGE);
+  const settled = await waitForDelivery(notifier, delivery.id);
+
+  assert.equal(settled.status, 'delivered');
+  assert.equal(settled.attempts.length, 2);
+  assert.equal(settled.attempts[0].status, null);
+  assert.match(settled.attempts[0].error, /timeout/i);
+  assert.equal(settled.attempts[1].status, 200);
+});
+
+test('4xx responses fail straight away', async () => {
+  replies = [{ status: 400 }, { status: 410 }];
+  const notifier = createNotifier();
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('strict', ['job.completed', 'job.failed']));
+
+  const [badRequest] = await notifier.notify('job.completed', MESSAGE);
+  const [gone] = await notifier.notify('job.failed', MESSAGE);
+
+  assert.equal((await waitForDelivery(notifier, badRequest.id)).status, 'failed');
+  assert.equal((await waitForDelivery(notifier, gone.id)).status, 'failed');
+  assert.deepEqual(notifier.getDelivery(badRequest.id).attempts.map(attempt => attempt.status), [400]);
+  assert.deepEqual(notifier.getDelivery(gone.id).attempts.map(attempt => attempt.status), [410]);
+  assert.equal(received.length, 2);
+});
+
+test('a delivery fails once its attempts run out, keeping the payload for inspection', async () => {
+  replies = [{ status: 502 }, { status: 502 }, { status: 502 }, { status: 200 }];
+  const notifier = createNotifier();
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('down', ['job.failed']));
+
+  const [delivery] = await notifier.notify('job.failed', MESSAGE);
+  const settled = await waitForDelivery(notifier, delivery.id);
+
+  assert.equal(settled.status, 'failed');
+  assert.equal(settled.attempts.length, 3);
+  assert.equal(settled.payload.subject, MESSAGE.subject);
+  assert.equal(received.length, 3);
+});
+
+test('events only go to the endpoints subscribed to them, and WEBHOOK_URL gets all of them', async () => {
+  const notifier = createNotifier({ envEndpoint: { url: `${receiverUrl}/env`, secret: SECRET } });
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('failures', ['job.failed']));
+  await notifier.addEndpoint(createEndpoint('results', ['job.completed', 'subscription.episode']));
+
+  const settle = async (event) => {
+    const deliveries = await notifier.notify(event, MESSAGE);
+    await Promise.all(deliveries.map(delivery => waitForDelivery(notifier, delivery.id)));
+    return deliveries.map(delivery => delivery.endpointId).sort();
+  };
+
+  assert.deepEqual(await settle('job.completed'), ['env', 'results']);
+  assert.deepEqual(await settle('job.failed'), ['env', 'failures']);
+  assert.deepEqual(await settle('summary.failed'), ['env']);
+
+  const byEvent = (event) => received.filter(request => request.headers['x-webhook-event'] === event).map(request => request.path).sort();
+  assert.deepEqual(byEvent('job.completed'), ['/env', '/results']);
+  assert.deepEqual(byEvent('job.failed'), ['/env', '/failures']);
+  assert.deepEqual(byEvent('summary.failed'), ['/env']);
+});
+
+test('events nobody subscribed to are skipped', async () => {
+  const notifier = createNotifier();
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('failures', ['job.failed']));
+
+  assert.deepEqual(await notifier.notify('job.completed', MESSAGE), []);
+  assert.deepEqual(notifier.getDeliveries(), []);
+});
+
+test('the delivery log records every attempt, on disk and in the filters', async () => {
+  replies = [{ status: 500 }, { status: 200 }, { status: 404 }];
+  const notifier = createNotifier();
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('a', ['job.completed', 'job.failed']));
+
+  const [retried] = await notifier.notify('job.completed', MESSAGE);
+  await waitForDelivery(notifier, retried.id);
+  const [rejected] = await notifier.notify('job.failed', MESSAGE);
+  await waitForDelivery(notifier, rejected.id);
+
+  const logged = await readLoggedDelivery(retried.id);
+  assert.equal(logged.status, 'delivered');
+  assert.equal(logged.event, 'job.completed');
+  assert.equal(logged.endpointId, 'a');
+  assert.equal(logged.url, `${receiverUrl}/a`);
+  assert.equal(logged.subject, MESSAGE.subject);
+  assert.deepEqual(logged.attempts.map(attempt => attempt.status), [500, 200]);
+  assert.match(logged.attempts[0].error, /500/);
+  assert.equal(logged.attempts[1].error, null);
+  assert.equal(logged.payload, undefined, 'delivered payloads are not kept');
+  assert.equal(logged.nextAttemptAt, null);
+
+  const failed = await readLoggedDelivery(rejected.id);
+  assert.equal(failed.status, 'failed');
+  assert.deepEqual(failed.attempts.map(attempt => attempt.status), [404]);
+
+  assert.deepEqual(notifier.getDeliveries().map(delivery => delivery.id), [rejected.id, retried.id]);
+  assert.deepEqual(notifier.getDeliveries({ status: 'failed' }).map(delivery => delivery.id), [rejected.id]);
+  assert.deepEqual(notifier.getDeliveries({ event: 'job.completed' }).map(delivery => delivery.id), [retried.id]);
+  assert.deepEqual(notifier.getDeliveries({ endpointId: 'b' }), []);
+});
+
+test('the log keeps only the newest finished deliveries', async () => {
+  const notifier = createNotifier({ deliveryLogLimit: 2 });
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('a', ['job.completed']));
+
+  const ids = [];
+  for (let i = 0; i < 3; i++) {
+    const [delivery] = await notifier.notify('job.completed', MESSAGE);
+    await waitForDelivery(notifier, delivery.id);
+    ids.push(delivery.id);
+  }
+
+  assert.deepEqual(notifier.getDeliveries().map(delivery => delivery.id).sort(), ids.slice(1).sort());
+  const files = await fs.readdir(path.join(dataDir, 'webhook-deliveries'));
+  assert.deepEqual(files.sort(), ids.slice(1).map(id => `${id}.json`).sort());
+});
+
+test('pending deliveries are saved and resumed after a restart', async () => {
+  const first = createNotifier();
+  await first.load();
+  await first.addEndpoint(createEndpoint('a', ['job.completed']));
+  const [delivery] = await first.notify('job.completed', MESSAGE);
+  first.stop(); // Shut down before the first attempt
+
+  assert.equal((await readLoggedDelivery(delivery.id)).status, 'pending');
+  assert.equal(received.length, 0);
+
+  const second = createNotifier();
+  await second.load();
+  assert.deepEqual(second.getEndpoints().map(endpoint => endpoint.id), ['a']);
+  const settled = await waitForDelivery(second, delivery.id);
+
+  assert.equal(settled.status, 'delivered');
+  assert.equal(received.length, 1);
+  assert.equal(received[0].headers['x-webhook-delivery'], delivery.id);
+});
+
+test('pending deliveries to a removed endpoint fail at their next attempt', async () => {
+  replies = [{ status: 500 }];
+  const notifier = createNotifier({ retryBaseMs: 200 });
+  await notifier.load();
+  await notifier.addEndpoint(createEndpoint('a', ['job.completed']));
+
+  const [delivery] = await notifier.notify('job.completed', MESSAGE);
+  const deadline = Date.now() + 5000;
+  while (notifier.getDelivery(delivery.id).attempts.length === 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  await notifier.removeEndpoint('a');
+
+  const settled = await waitForDelivery(notifier, delivery.id);
+  assert.equal(settled.status, 'failed');
+  assert.equal(settled.attempts[1].error, 'The endpoint was removed');
+  assert.equal(received.length, 1);
+  assert.deepEqual(await fs.readdir(path.join(dataDir, 'webhooks')), []);
+});
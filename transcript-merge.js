@@ -0,0 +1,163 @@
+// Merging chunk transcriptions back into one transcript. Chunks whose boundary wasn't cut in a
+// silence repeat a few seconds of the previous chunk's audio; the repeated words are removed by
+// aligning the two texts, or by cutting the overlap in the middle when they don't line up.
+//
+// A transcription is { text, segments: [{ start, end, text }] } as returned by a provider (segments
+// may be missing). A chunk is { startTime, overlapSeconds }: where it starts on the episode
+// timeline and how much audio it shares with the previous chunk.
+
+const OVERLAP_SEARCH_WORDS = 120; // Words compared at each chunk boundary when aligning overlaps
+const MIN_OVERLAP_MATCH_WORDS = 4; // Shorter matches are treated as coincidence
+const OVERLAP_WORDS_PER_SECOND = 2; // Estimated speech rate, for overlaps without timestamps
+
+// Keep only the timing and text of each Whisper segment, shifted to the episode timeline
+const normaliseSegments = (transcription, offsetSeconds = 0) => {
+  return (transcription.segments || []).map(segment => ({
+    start: segment.start + offsetSeconds,
+    end: segment.end + offsetSeconds,
+    text: segment.text.trim()
+  }));
+};
+
+// Split a chunk transcription into words, remembering the segment each word came from. Each word's
+// start and end are estimated by sharing its segment's time evenly between the segment's words.
+const toTimedWords = (transcription, offsetSeconds) => {
+  const segments = normaliseSegments(transcription, offsetSeconds);
+
+  if (segments.length === 0) {
+    return transcription.text.split(/\s+/).filter(Boolean).map(word => ({ word, segment: null, start: null, end: null }));
+  }
+
+  const words = [];
+  segments.forEach(segment => {
+    const segmentWords = segment.text.split(/\s+/).filter(Boolean);
+    const wordSeconds = (segment.end - segment.start) / segmentWords.length;
+    segmentWords.forEach((word, index) => words.push({
+      word,
+      segment,
+      start: segment.start + index * wordSeconds,
+      end: segment.start + (index + 1) * wordSeconds
+    }));
+  });
+  return words;
+};
+
+// Lowercase and strip punctuation so "Right," matches "right", keeping letters and digits of any script
+const normaliseWord = (word) => word.normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+// Find the longest run of identical words between the end of one chunk and the start of the next.
+// Returns the index just past the run in each word list, or null when nothing long enough matches.
+const findOverlapAlignment = (previousWords, nextWords) => {
+  const tailStart = Math.max(0, previousWords.length - OVERLAP_SEARCH_WORDS);
+  const tail = previousWords.slice(tailStart).map(w => normaliseWord(w.word));
+  const head = nextWords.slice(0, OVERLAP_SEARCH_WORDS).map(w => normaliseWord(w.word));
+
+  let bestLength = 0;
+  let bestTailEnd = 0;
+  let bestHeadEnd = 0;
+  let previousRow = new Array(head.length + 1).fill(0);
+
+  for (let i = 1; i <= tail.length; i++) {
+    const row = new Array(head.length + 1).fill(0);
+    for (let j = 1; j <= head.length; j++) {
+      if (tail[i - 1] && tail[i - 1] === head[j - 1]) {
+        row[j] = previousRow[j - 1] + 1;
+        if (row[j] > bestLength) {
+          bestLength = row[j];
+          bestTailEnd = i;
+          bestHeadEnd = j;
+        }
+      }
+    }
+    previousRow = row;
+  }
+
+  if (bestLength < MIN_OVERLAP_MATCH_WORDS) {
+    return null;
+  }
+
+  return {
+    length: bestLength,
+    previousEnd: tailStart + bestTailEnd,
+    nextEnd: bestHeadEnd
+  };
+};
+
+// Rebuild segments from merged words. A segment cut at a boundary is trimmed to the words it kept,
+// and never starts before the segment in front of it ends.
+const wordsToSegments = (words) => {
+  const segments = [];
+  let current = null;
+
+  words.forEach(({ word, segment, start, end }) => {
+    if (!segment) return;
+    if (!current || current.source !== segment) {
+      const segmentStart = current ? Math.max(start, current.end) : start;
+      current = { source: segment, start: segmentStart, end: segmentStart, words: [] };
+      segments.push(current);
+    }
+    current.end = Math.max(end, current.start);
+    current.words.push(word);
+  });
+
+  return segments.map(({ start, end, words: segmentWords }) => ({ start, end, text: segmentWords.join(' ') }));
+};
+
+// Merge transcriptions, removing the audio overlap between consecutive chunks.
+// Chunks cut in a silence don't overlap and are simply joined. Other boundaries are aligned
+// on the longest shared word sequence. If the texts don't line up, words are cut by their
+// timestamps: in the middle of the overlap when both chunks have segments, otherwise at the edge
+// of the overlap that keeps it whole in the chunk without them. Without segments on either side
+// an estimated number of words is dropped from the start of the later chunk.
+const mergeTranscriptions = (transcriptions, chunks) => {
+  let mergedWords = toTimedWords(transcriptions[0], chunks[0].startTime);
+
+  for (let i = 1; i < transcriptions.length; i++) {
+    const nextWords = toTimedWords(transcriptions[i], chunks[i].startTime);
+
+    if (!chunks[i].overlapSeconds) {
+      mergedWords = mergedWords.concat(nextWords);
+      continue;
+    }
+
+    const alignment = findOverlapAlignment(mergedWords, nextWords);
+
+    if (alignment) {
+      console.log(`Chunk ${i + 1}: aligned overlap on ${alignment.length} words`);
+      mergedWords = mergedWords.slice(0, alignment.previousEnd).concat(nextWords.slice(alignment.nextEnd));
+      continue;
+    }
+
+    const previousTimed = Boolean(mergedWords[mergedWords.length - 1]?.segment);
+    const nextTimed = nextWords.length > 0 && nextWords.every(w => w.segment);
+
+    if (previousTimed || nextTimed) {
+      const overlapStart = chunks[i].startTime;
+      const overlapEnd = overlapStart + chunks[i].overlapSeconds;
+      let cutTime = (overlapStart + overlapEnd) / 2;
+      if (!nextTimed) cutTime = overlapStart;
+      if (!previousTimed) cutTime = overlapEnd;
+
+      console.log(`Chunk ${i + 1}: no text alignment, cutting overlap at ${cutTime.toFixed(1)}s`);
+      mergedWords = mergedWords
+        .filter(w => !w.segment || w.start < cutTime)
+        .concat(nextWords.filter(w => !w.segment || w.start >= cutTime));
+      continue;
+    }
+
+    const overlapWords = Math.ceil(chunks[i].overlapSeconds * OVERLAP_WORDS_PER_SECOND);
+    console.log(`Chunk ${i + 1}: no text alignment or timestamps, dropping ${overlapWords} words`);
+    mergedWords = mergedWords.concat(nextWords.slice(overlapWords));
+  }
+
+  return {
+    text: mergedWords.map(w => w.word).join(' '),
+    segments: wordsToSegments(mergedWords)
+  };
+};
+
+module.exports = {
+  normaliseSegments,
+  findOverlapAlignment,
+  mergeTranscriptions
+};
@@ -0,0 +1,201 @@
+// Sending audio to a hosted transcription API: the Groq and OpenAI-compatible providers, the request
+// budget they share between jobs, and retries of rate-limited, failed or timed-out requests. Nothing
+// here reads the environment; server.js passes the settings in, so tests can point the providers
+// at a local stub server.
+//
+// Every provider (including the local whisper.cpp one in server.js) exposes the same interface:
+//   name           - identifier used in TRANSCRIPTION_PROVIDER
+//   label          - shown in logs and progress messages
+//   maxFileSizeMB  - largest file the provider accepts; bigger files are chunked
+//   requestsPerMinute - request budget shared by all jobs (0 = unlimited)
+//   concurrency    - chunks transcribed at the same time
+//   transcribe(filepath, { signal, jobId }) -> { text, segments: [{ start, end, text }] }
+
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const Groq = require('groq-sdk');
+
+// Groq's hosted Whisper API. `baseURL` defaults to Groq's own.
+const createGroqProvider = ({ apiKey, baseURL, model = 'whisper-large-v3', language, timeoutMs }) => {
+  const groq = new Groq({
+    apiKey,
+    baseURL,
+    maxRetries: 0, // Retries are handled by transcribeWithRetries
+    timeout: timeoutMs
+  });
+
+  return {
+    name: 'groq',
+    label: `Groq Whisper (${model})`,
+    maxFileSizeMB: 25, // Groq free tier limit
+    requestsPerMinute: 20, // Groq free tier limit
+    concurrency: 3,
+    transcribe: async (filepath, { signal }) => {
+      return groq.audio.transcriptions.create({
+        file: fs.createReadStream(filepath),
+        model,
+        response_format: 'verbose_json',
+        language
+      }, {
+        signal
+      });
+    }
+  };
+};
+
+// Any server implementing OpenAI's /audio/transcriptions endpoint (OpenAI, faster-whisper-server, LocalAI...)
+const createOpenAiCompatibleProvider = ({ baseUrl, apiKey, model = 'whisper-1', language, timeoutMs }) => {
+  if (!baseUrl) {
+    throw new Error('TRANSCRIPTION_API_URL is required for the openai transcription provider');
+  }
+
+  return {
+    name: 'openai',
+    label: `${model} at ${baseUrl}`,
+    maxFileSizeMB: 25, // OpenAI's upload limit; self-hosted servers can raise it with TRANSCRIPTION_MAX_FILE_MB
+    requestsPerMinute: 50,
+    concurrency: 3,
+    transcribe: async (filepath, { signal }) => {
+      const form = new FormData();
+      form.append('file', new Blob([await fs.promises.readFile(filepath)]), path.basename(filepath));
+      form.append('model', model);
+      form.append('response_format', 'verbose_json');
+      form.append('language', language);
+
+      const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/audio/transcriptions`, form, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        maxBodyLength: Infinity,
+        timeout: timeoutMs,
+        signal
+      });
+
+      return response.data;
+    }
+  };
+};
+
+// Resolve after ms, or reject straight away when the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new Error('Job cancelled'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new Error('Job cancelled'));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Rolling one-minute request budget shared by every job using the provider (0 = unlimited).
+// `windowMs` shortens the minute for tests.
+const createRequestBudget = (requestsPerMinute, { windowMs = 60000 } = {}) => {
+  const sentAt = [];
+  let queue = Promise.resolve();
+
+  // Wait until another request fits into the last minute's budget
+  const take = async (signal) => {
+    if (signal?.aborted) throw new Error('Job cancelled');
+    if (!requestsPerMinute) return;
+
+    while (true) {
+      const now = Date.now();
+      while (sentAt.length > 0 && now - sentAt[0] >= windowMs) {
+        sentAt.shift();
+      }
+      if (sentAt.length < requestsPerMinute) {
+        sentAt.push(now);
+        return;
+      }
+      await sleep(windowMs - (now - sentAt[0]), signal);
+    }
+  };
+
+  // Callers are served in arrival order so one chunk can't be starved by the others
+  return {
+    acquire: (signal) => {
+      const turn = queue.then(() => take(signal));
+      queue = turn.catch(() => {});
+      return turn;
+    }
+  };
+};
+
+// Connection failures that are worth another attempt
+const isRetryableNetworkError = (error) => {
+  return ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_STREAM_PREMATURE_CLOSE'].includes(error.code);
+};
+
+// HTTP status of a failed provider call (axios puts it on the response, the Groq SDK on the error)
+const getErrorStatus = (error) => error.response?.status ?? error.status;
+
+// Rate limits, server errors and dropped or timed-out connections are worth another attempt
+const isRetryableTranscriptionError = (error) => {
+  const status = getErrorStatus(error);
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+  return error instanceof Groq.APIConnectionError || isRetryableNetworkError(error);
+};
+
+// Delay requested by a retry-after header (seconds or an HTTP date), in ms
+const getRetryAfterMs = (error) => {
+  const headers = error.response?.headers || error.headers || {};
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Wait before retry number `attempt` (from 0): the provider's retry-after if it sent one, otherwise
+// retryBaseMs doubled per attempt (capped at retryMaxMs) plus up to 25% jitter
+const getRetryDelayMs = (error, attempt, { retryBaseMs, retryMaxMs }, random = Math.random) => {
+  const backoffMs = Math.min(retryBaseMs * 2 ** attempt, retryMaxMs);
+  return getRetryAfterMs(error) ?? backoffMs + random() * backoffMs * 0.25;
+};
+
+// Send one file to the provider within the request budget, retrying transient failures with backoff.
+// `retries` is { maxRetries, retryBaseMs, retryMaxMs }; `description` names the file in the logs.
+const transcribeWithRetries = async (provider, budget, filepath, { signal, jobId, description, retries }) => {
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw new Error('Job cancelled');
+    await budget.acquire(signal);
+    if (signal?.aborted) throw new Error('Job cancelled');
+
+    try {
+      return await provider.transcribe(filepath, { signal, jobId });
+    } catch (error) {
+      if (signal?.aborted || attempt >= retries.maxRetries || !isRetryableTranscriptionError(error)) {
+        throw error;
+      }
+
+      const delayMs = getRetryDelayMs(error, attempt, retries);
+      const reason = getErrorStatus(error) || error.code || error.message;
+      console.warn(`Transcribing ${description} failed (${reason}), retry ${attempt + 1}/${retries.maxRetries} in ${Math.round(delayMs / 1000)}s`);
+      await sleep(delayMs, signal);
+    }
+  }
+};
+
+module.exports = {
+  createGroqProvider,
+  createOpenAiCompatibleProvider,
+  sleep,
+  createRequestBudget,
+  isRetryableNetworkError,
+  getErrorStatus,
+  isRetryableTranscriptionError,
+  getRetryAfterMs,
+  getRetryDelayMs,
+  transcribeWithRetries
+};
@@ -0,0 +1,256 @@
+// Webhook notifications: endpoints subscribe to events, and every event becomes one delivery per
+// endpoint. Deliveries are signed, retried with backoff when the receiver is down or overloaded,
+// and kept in a log on disk, so pending ones carry on after a restart. The notifier only uses the
+// directories and settings it is created with, so it can be run against a local receiver.
+//
+// A request carries the JSON payload and these headers:
+//   X-Webhook-Event      - the event name, e.g. job.completed
+//   X-Webhook-Delivery   - the delivery id (the same across retries)
+//   X-Webhook-Timestamp  - Unix seconds when the attempt was made
+//   X-Webhook-Signature  - "sha256=<hex HMAC of '<timestamp>.<body>'>", for endpoints with a secret
+
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonFile } = require('./json-file');
+
+const WEBHOOK_EVENTS = ['job.completed', 'job.failed', 'subscription.episode', 'summary.failed'];
+
+// Signature of a delivery: HMAC-SHA256 of "<timestamp>.<body>" with the endpoint's secret, as hex
+const signWebhookBody = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Network errors, timeouts, rate limits and server errors are retried; other responses won't change
+const isRetryableWebhookStatus = (status) => !status || status === 408 || status === 429 || status >= 500;
+
+// An endpoint as returned by the API, without its secret
+const describeWebhookEndpoint = ({ secret, ...endpoint }) => ({ ...endpoint, signed: Boolean(secret) });
+
+// A delivery as listed by the API, without its payload
+const describeWebhookDelivery = ({ payload, ...delivery }) => delivery;
+
+// Options:
+//   endpointsDir, deliveriesDir - where endpoints and the delivery log are saved
+//   envEndpoint     - { url, secret } of the endpoint set by the environment, which receives every event
+//   timeoutMs       - per delivery attempt
+//   maxAttempts     - per delivery, including the first
+//   retryBaseMs     - delay before the first retry, doubled after each failed attempt up to retryMaxMs
+//   deliveryLogLimit - finished deliveries kept for inspection
+const createWebhookNotifier = ({
+  endpointsDir,
+  deliveriesDir,
+  envEndpoint = null,
+  timeoutMs,
+  maxAttempts,
+  retryBaseMs,
+  retryMaxMs,
+  deliveryLogLimit
+}) => {
+  // Endpoints registered through the API, every delivery in the log, and the timers of pending ones
+  const endpoints = new Map();
+  const deliveries = new Map();
+  const retryTimers = new Map();
+
+  const envWebhookEndpoint = envEndpoint?.url
+    ? { id: 'env', url: envEndpoint.url, secret: envEndpoint.secret || null, events: WEBHOOK_EVENTS, source: 'env' }
+    : null;
+
+  // Every endpoint notifications can go to
+  const getEndpoints = () => [envWebhookEndpoint, ...endpoints.values()].filter(Boolean);
+
+  const getEndpoint = (endpointId) => getEndpoints().find(endpoint => endpoint.id === endpointId) || null;
+
+  // Write a webhook delivery to disk
+  const persistDelivery = async (delivery) => {
+    await writeJsonFile(path.join(deliveriesDir, `${delivery.id}.json`), delivery);
+  };
+
+  // Drop the oldest finished deliveries beyond deliveryLogLimit
+  const pruneDeliveries = async () => {
+    const finished = [...deliveries.values()]
+      .filter(delivery => delivery.status !== 'pending')
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    for (const delivery of finished.slice(0, Math.max(0, finished.length - deliveryLogLimit))) {
+      deliveries.delete(delivery.id);
+      try {
+        await fs.unlink(path.join(deliveriesDir, `${delivery.id}.json`));
+      } catch (error) {
+        console.error(`Failed to remove webhook delivery ${delivery.id}:`, error.message);
+      }
+    }
+  };
+
+  // Make one attempt at a delivery, then schedule the next one or settle it as delivered or failed
+  const attemptDelivery = async (delivery) => {
+    retryTimers.delete(delivery.id);
+    const endpoint = getEndpoint(delivery.endpointId);
+    const startedAt = Date.now();
+    let status = null;
+    let error = null;
+
+    if (endpoint) {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(startedAt / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SpotifyTranscriber/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': String(timestamp)
+      };
+      if (endpoint.secret) {
+        headers['X-Webhook-Signature'] = `sha256=${signWebhookBody(endpoint.secret, timestamp, body)}`;
+      }
+
+      try {
+        const response = await axios.post(endpoint.url, body, { headers, timeout: timeoutMs });
+        status = response.status;
+      } catch (requestError) {
+        status = requestError.response?.status ?? null;
+        error = requestError.message;
+      }
+    } else {
+      error = 'The endpoint was removed';
+    }
+
+    delivery.attempts.push({ at: startedAt, durationMs: Date.now() - startedAt, status, error });
+    delivery.updatedAt = Date.now();
+
+    if (!error) {
+      console.log(`Webhook ${delivery.event} delivered to ${delivery.url}`);
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+      delete delivery.payload; // Only kept while it may need sending again
+    } else if (endpoint && delivery.attempts.length < maxAttempts && isRetryableWebhookStatus(status)) {
+      const delay = Math.min(retryBaseMs * 2 ** (delivery.attempts.length - 1), retryMaxMs);
+      console.warn(`Webhook ${delivery.event} to ${delivery.url} failed (${error}), retrying in ${Math.round(delay / 1000)}s`);
+      delivery.nextAttemptAt = Date.now() + delay;
+      scheduleDelivery(delivery);
+    } else {
+      console.error(`Webhook ${delivery.event} to ${delivery.url} failed after ${delivery.attempts.length} attempt(s): ${error}`);
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    }
+
+    await persistDelivery(delivery);
+    if (delivery.status !== 'pending') {
+      await pruneDeliveries();
+    }
+  };
+
+  // Make a delivery's next attempt when it is due
+  const scheduleDelivery = (delivery) => {
+    const timer = setTimeout(() => {
+      attemptDelivery(delivery).catch((error) => {
+        console.error(`Webhook delivery ${delivery.id} error:`, error);
+      });
+    }, Math.max(0, delivery.nextAttemptAt - Date.now()));
+    timer.unref();
+    retryTimers.set(delivery.id, timer);
+  };
+
+  return {
+    getEndpoints,
+    getEndpoint,
+
+    // Save an endpoint registered through the API
+    addEndpoint: async (endpoint) => {
+      endpoints.set(endpoint.id, endpoint);
+      await writeJsonFile(path.join(endpointsDir, `${endpoint.id}.json`), endpoint);
+    },
+
+    // Remove an endpoint registered through the API. Its pending deliveries fail at their next attempt.
+    removeEndpoint: async (endpointId) => {
+      endpoints.delete(endpointId);
+      try {
+        await fs.unlink(path.join(endpointsDir, `${endpointId}.json`));
+      } catch (error) {
+        console.error(`Failed to remove webhook ${endpointId}:`, error.message);
+      }
+    },
+
+    // The delivery log, newest first, optionally filtered by status, event or endpoint
+    getDeliveries: ({ status, event, endpointId } = {}) => {
+      return [...deliveries.values()]
+        .filter(delivery => (!status || delivery.status === status) && (!event || delivery.event === event) && (!endpointId || delivery.endpointId === endpointId))
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    getDelivery: (deliveryId) => deliveries.get(deliveryId) || null,
+
+    // Send an event to every endpoint subscribed to it (or to the given endpoints). The payload keeps the
+    // subject / body / format fields the original webhook sent, plus the event name and its data.
+    // Deliveries are saved before their first attempt, so pending ones carry on after a restart.
+    notify: async (event, { subject, body, data = {} }, targetEndpoints = null) => {
+      const targets = targetEndpoints || getEndpoints().filter(endpoint => endpoint.events.includes(event));
+      if (targets.length === 0) {
+        console.log(`No webhook endpoints for ${event}, skipping: ${subject}`);
+        return [];
+      }
+
+      const now = Date.now();
+      const payload = { id: crypto.randomBytes(16).toString('hex'), event, createdAt: new Date(now).toISOString(), subject, body, format: 'markdown', data };
+      const created = [];
+
+      for (const endpoint of targets) {
+        const delivery = {
+          id: crypto.randomBytes(16).toString('hex'),
+          eventId: payload.id,
+          event,
+          subject,
+          endpointId: endpoint.id,
+          url: endpoint.url,
+          status: 'pending',
+          attempts: [],
+          payload,
+          createdAt: now,
+          updatedAt: now,
+          nextAttemptAt: now
+        };
+        deliveries.set(delivery.id, delivery);
+        await persistDelivery(delivery);
+        scheduleDelivery(delivery);
+        created.push(delivery);
+      }
+
+      return created;
+    },
+
+    // Load webhook endpoints and deliveries on startup, resuming the deliveries still pending
+    load: async () => {
+      for (const [dir, store] of [[endpointsDir, endpoints], [deliveriesDir, deliveries]]) {
+        await fs.mkdir(dir, { recursive: true });
+        for (const file of await fs.readdir(dir)) {
+          if (!file.endsWith('.json')) continue;
+          try {
+            const record = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+            store.set(record.id, record);
+          } catch (error) {
+            console.error(`Skipping unreadable webhook file ${file}:`, error.message);
+          }
+        }
+      }
+
+      const pending = [...deliveries.values()].filter(delivery => delivery.status === 'pending');
+      pending.forEach(scheduleDelivery);
+      console.log(`Loaded ${endpoints.size} webhook endpoint(s) and ${deliveries.size} delivery record(s), ${pending.length} pending`);
+    },
+
+    // Cancel the scheduled attempts (they stay pending on disk)
+    stop: () => {
+      retryTimers.forEach(timer => clearTimeout(timer));
+      retryTimers.clear();
+    }
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signWebhookBody,
+  describeWebhookEndpoint,
+  describeWebhookDelivery,
+  createWebhookNotifier
+};